@@ -1,6 +1,7 @@
 import app from './app.js';
 import { testConnection } from './src/core/db.js';
 import { setupDatabase } from './src/core/setupDatabase.js';
+import { startBookingJobs } from './src/modules/bookings/bookings.jobs.js';
 
 const PORT = process.env.PORT || 3001;
 
@@ -20,6 +21,7 @@ async function startServer() {
     app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
         testConnection();
+        startBookingJobs();
     });
 }
 
@@ -0,0 +1,71 @@
+// Migration script: Check that every booking's date matches its start_time
+// The date is the day start_time falls on in the host's timezone (the event type's availability,
+// UTC without one). Run without arguments to list mismatched bookings, or with --fix to rewrite
+// their dates. Run setup-db first so booking times are TIMESTAMPTZ.
+
+import pool from '../src/core/db.js';
+
+const expectedDate = `(b.start_time AT TIME ZONE COALESCE(a.timezone, 'UTC'))::DATE`;
+
+async function migrateBookingDates(fix) {
+    const client = await pool.connect();
+
+    try {
+        console.log('🔄 Checking booking dates against start_time...');
+
+        await client.query('BEGIN');
+
+        const mismatches = await client.query(`
+            SELECT b.id, b.date::TEXT AS date, ${expectedDate}::TEXT AS expected_date,
+                   b.start_time, COALESCE(a.timezone, 'UTC') AS timezone
+            FROM bookings b
+            JOIN event_types et ON et.id = b.event_type_id
+            LEFT JOIN availability a ON a.id = et.availability_id
+            WHERE b.date <> ${expectedDate}
+            ORDER BY b.id
+        `);
+
+        if (mismatches.rows.length === 0) {
+            console.log('✅ No migration needed - every booking date matches its start_time');
+        } else {
+            for (const row of mismatches.rows) {
+                console.log(
+                    `⚠️  Booking ${row.id}: date ${row.date}, but start_time ${row.start_time.toISOString()} ` +
+                    `falls on ${row.expected_date} in ${row.timezone}`
+                );
+            }
+
+            if (fix) {
+                await client.query(`
+                    UPDATE bookings b
+                    SET date = ${expectedDate}, updated_at = CURRENT_TIMESTAMP
+                    FROM event_types et
+                    LEFT JOIN availability a ON a.id = et.availability_id
+                    WHERE et.id = b.event_type_id AND b.date <> ${expectedDate}
+                `);
+                console.log(`✅ Fixed the date of ${mismatches.rows.length} booking(s)`);
+            } else {
+                console.log(`${mismatches.rows.length} booking(s) need fixing. Run again with --fix to rewrite their dates.`);
+            }
+        }
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+migrateBookingDates(process.argv.includes('--fix'))
+    .then(() => {
+        console.log('Migration complete!');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,79 @@
+// Migration script: Find active bookings of the same event type that overlap
+// Such rows keep setup-db from adding the bookings_no_overlap constraint. Run without arguments
+// to list them, or with --fix to cancel the later booking of each overlapping pair.
+
+import pool from '../src/core/db.js';
+
+const ACTIVE = `('pending', 'confirmed', 'completed')`;
+
+const findOverlap = `
+    SELECT a.id AS kept_id, b.id AS overlapping_id, b.event_type_id,
+           a.start_time AS kept_start, b.start_time AS overlapping_start
+    FROM bookings a
+    JOIN bookings b ON b.event_type_id = a.event_type_id AND b.id > a.id
+    WHERE a.booking_status IN ${ACTIVE}
+      AND b.booking_status IN ${ACTIVE}
+      AND tstzrange(a.start_time, a.end_time) && tstzrange(b.start_time, b.end_time)
+    ORDER BY b.id, a.id
+`;
+
+async function resolveOverlappingBookings(fix) {
+    const client = await pool.connect();
+
+    try {
+        console.log('🔄 Looking for overlapping active bookings...');
+
+        await client.query('BEGIN');
+
+        const overlaps = await client.query(findOverlap);
+        if (overlaps.rows.length === 0) {
+            console.log('✅ No migration needed - no active bookings overlap');
+        } else {
+            for (const row of overlaps.rows) {
+                console.log(
+                    `⚠️  Event type ${row.event_type_id}: booking ${row.overlapping_id} ` +
+                    `(${row.overlapping_start.toISOString()}) overlaps booking ${row.kept_id} (${row.kept_start.toISOString()})`
+                );
+            }
+
+            if (fix) {
+                // Cancel one booking at a time, so a booking that only clashed with a cancelled one is kept
+                let cancelled = 0;
+                let next = overlaps.rows[0];
+                while (next) {
+                    await client.query(
+                        `UPDATE bookings
+                         SET booking_status = 'cancelled', cancellation_reason = $2,
+                             cancelled_at = $3, updated_at = CURRENT_TIMESTAMP
+                         WHERE id = $1`,
+                        [next.overlapping_id, `Overlapped booking ${next.kept_id}`, new Date()]
+                    );
+                    cancelled++;
+                    next = (await client.query(`${findOverlap} LIMIT 1`)).rows[0];
+                }
+                console.log(`✅ Cancelled ${cancelled} overlapping booking(s). Run setup-db to add bookings_no_overlap.`);
+            } else {
+                console.log(`${overlaps.rows.length} overlapping pair(s) found. Run again with --fix to cancel the later bookings.`);
+            }
+        }
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error('❌ Migration failed:', error);
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+resolveOverlappingBookings(process.argv.includes('--fix'))
+    .then(() => {
+        console.log('Migration complete!');
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
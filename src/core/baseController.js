@@ -43,6 +43,14 @@ class BaseController {
             });
         }
 
+        // Handle database exclusion constraint errors (overlapping bookings)
+        if (error.code === '23P01') { // PostgreSQL exclusion violation
+            return res.status(409).json({
+                message: 'Booking overlaps an existing booking',
+                error: { message: error.message, constraint: error.constraint }
+            });
+        }
+
         // Default error
         return res.status(500).json({
             message,
@@ -56,6 +64,11 @@ class BaseController {
     handleSuccess(res, data, message = 'Success', statusCode = 200) {
         return res.status(statusCode).json({ message, data });
     }
+
+    // List responses keep data an array and describe the page alongside it
+    handlePaginatedSuccess(res, data, pagination, message = 'Success') {
+        return res.status(200).json({ message, data, pagination });
+    }
 }
 
 export default BaseController;
\ No newline at end of file
@@ -0,0 +1,179 @@
+// Idempotency-Key support: a retried request with the same key replays the stored response
+// instead of running the handler again
+import crypto from 'crypto';
+import pool from './db.js';
+
+// How long a key is remembered before it may be reused for a new request
+const IDEMPOTENCY_KEY_TTL_HOURS = 24;
+
+// A key still in flight after this long belongs to a request that never finished (e.g. the
+// process died), so a retry may reclaim it
+const IN_FLIGHT_TIMEOUT_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same fields sent in a different order hash the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        const fields = Object.keys(value).sort()
+            .map(field => `${JSON.stringify(field)}:${canonicalJson(value[field])}`);
+        return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body ?? {})}`)
+    .digest('hex');
+
+// Claim the key for this request. An expired key, or one stuck in flight past the timeout, is
+// reclaimed; returns false if the key is taken.
+async function claimKey(key, path, requestHash) {
+    const result = await pool.query(
+        `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (idempotency_key, request_path) DO UPDATE
+         SET request_hash = EXCLUDED.request_hash, response_status = NULL, response_body = NULL,
+             created_at = CURRENT_TIMESTAMP, completed_at = NULL
+         WHERE idempotency_keys.created_at < CURRENT_TIMESTAMP - make_interval(hours => $4)
+            OR (idempotency_keys.completed_at IS NULL
+                AND idempotency_keys.created_at < CURRENT_TIMESTAMP - make_interval(secs => $5))
+         RETURNING idempotency_key`,
+        [key, path, requestHash, IDEMPOTENCY_KEY_TTL_HOURS, IN_FLIGHT_TIMEOUT_SECONDS]
+    );
+    return result.rowCount > 0;
+}
+
+async function findKey(key, path) {
+    const result = await pool.query(
+        'SELECT * FROM idempotency_keys WHERE idempotency_key = $1 AND request_path = $2',
+        [key, path]
+    );
+    return result.rows[0] || null;
+}
+
+// Claim the key, or find the row holding it. That row can be deleted (expired and swept) between a
+// failed claim and the lookup, so the claim is tried once more; existing is null if it still fails.
+async function claimOrFindKey(key, path, requestHash) {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        if (await claimKey(key, path, requestHash)) {
+            return { claimed: true, existing: null };
+        }
+        const existing = await findKey(key, path);
+        if (existing) {
+            return { claimed: false, existing };
+        }
+    }
+    return { claimed: false, existing: null };
+}
+
+async function saveResponse(key, path, status, body) {
+    await pool.query(
+        `UPDATE idempotency_keys
+         SET response_status = $3, response_body = $4, completed_at = CURRENT_TIMESTAMP
+         WHERE idempotency_key = $1 AND request_path = $2`,
+        [key, path, status, JSON.stringify(body ?? null)]
+    );
+}
+
+async function releaseKey(key, path) {
+    await pool.query(
+        'DELETE FROM idempotency_keys WHERE idempotency_key = $1 AND request_path = $2',
+        [key, path]
+    );
+}
+
+// Delete keys past their TTL; returns how many were removed
+export async function deleteExpiredIdempotencyKeys() {
+    const result = await pool.query(
+        `DELETE FROM idempotency_keys
+         WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+        [IDEMPOTENCY_KEY_TTL_HOURS]
+    );
+    return result.rowCount;
+}
+
+// Middleware for routes that accept an Idempotency-Key header. Requests without the header run
+// normally. Server errors, and responses not sent through res.json, release the key so the
+// client can retry.
+export function idempotency() {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined) {
+            return next();
+        }
+
+        if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                message: 'Invalid Idempotency-Key',
+                error: { message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters` }
+            });
+        }
+
+        const path = `${req.baseUrl}${req.path}`;
+        const requestHash = hashRequest(req);
+
+        try {
+            const { claimed, existing } = await claimOrFindKey(key, path, requestHash);
+            if (!claimed) {
+                if (!existing) {
+                    return res.status(409).json({
+                        message: 'A request with this Idempotency-Key is still being processed',
+                        error: { message: 'Retry once the original request has completed' }
+                    });
+                }
+
+                if (existing.request_hash !== requestHash) {
+                    return res.status(422).json({
+                        message: 'Idempotency-Key was already used for a different request',
+                        error: { message: 'Reuse a key only to retry the exact same request' }
+                    });
+                }
+
+                if (existing.response_status === null) {
+                    return res.status(409).json({
+                        message: 'A request with this Idempotency-Key is still being processed',
+                        error: { message: 'Retry once the original request has completed' }
+                    });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.response_status).json(existing.response_body);
+            }
+        } catch (error) {
+            console.error('Error checking idempotency key:', error);
+            return res.status(500).json({
+                message: 'Failed to check Idempotency-Key',
+                error: { message: error.message }
+            });
+        }
+
+        // Store the response before it is sent so an immediate retry already sees it
+        const sendJson = res.json.bind(res);
+        let settled = false;
+        res.json = (body) => {
+            settled = true;
+            const stored = res.statusCode >= 500
+                ? releaseKey(key, path)
+                : saveResponse(key, path, res.statusCode, body);
+
+            stored
+                .catch(error => console.error('Error saving idempotent response:', error))
+                .finally(() => sendJson(body));
+            return res;
+        };
+
+        res.on('close', () => {
+            if (!settled) {
+                releaseKey(key, path)
+                    .catch(error => console.error('Error releasing idempotency key:', error));
+            }
+        });
+
+        return next();
+    };
+}
@@ -0,0 +1,205 @@
+// Time Utilities - Helpers for turning availability into concrete times
+
+// Format a Date as YYYY-MM-DD (UTC calendar date)
+export const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Shift a YYYY-MM-DD date string by a number of days
+export const addDays = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+};
+
+// Whole days from one YYYY-MM-DD date to another
+export const daysBetween = (fromDate, toDate) =>
+    Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / 86400000);
+
+// Shift a YYYY-MM-DD date by whole months, or null when that day does not exist in the target month
+export const addMonths = (dateString, months) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1 + months, day));
+    return date.getUTCDate() === day ? toDateString(date) : null;
+};
+
+// Day of week for a YYYY-MM-DD date (1=Monday, 7=Sunday), matching availability_interval.day_of_week
+export const getDayOfWeek = (dateString) => {
+    const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+};
+
+export const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock date (YYYY-MM-DD) and time (HH:MM:SS) of an instant in the given timezone
+export const getZonedDateTime = (instant, timezone = 'UTC') => {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(instant)) {
+        parts[part.type] = part.value;
+    }
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}:${parts.second}`
+    };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (instant, timezone) => {
+    const { date, time } = getZonedDateTime(instant, timezone);
+    const wallClockAsUtc = new Date(`${date}T${time}Z`).getTime();
+    const wholeSeconds = Math.floor(instant.getTime() / 1000) * 1000;
+    return wallClockAsUtc - wholeSeconds;
+};
+
+// Convert a wall-clock date and time in the given timezone to a UTC instant.
+// Times that fall in a DST gap are moved forward; ambiguous times resolve to the earlier instant.
+export const zonedTimeToUtc = (dateString, timeString, timezone = 'UTC') => {
+    const wallClock = new Date(`${dateString}T${timeString}Z`).getTime();
+
+    const firstOffset = getTimezoneOffset(new Date(wallClock), timezone);
+    const firstGuess = new Date(wallClock - firstOffset);
+    const secondOffset = getTimezoneOffset(firstGuess, timezone);
+
+    if (secondOffset === firstOffset) {
+        return firstGuess;
+    }
+
+    const secondGuess = new Date(wallClock - secondOffset);
+    if (getTimezoneOffset(secondGuess, timezone) === secondOffset) {
+        return secondGuess;
+    }
+
+    // The wall-clock time does not exist (DST gap), keep the later instant
+    return firstGuess;
+};
+
+export const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Earliest and latest allowed start for an event type's bookings (null when unlimited)
+export const getBookingWindow = (eventType, now = new Date()) => ({
+    earliest: eventType.minimum_notice_minutes != null
+        ? addMinutes(now, eventType.minimum_notice_minutes)
+        : null,
+    latest: eventType.max_days_in_future != null
+        ? addMinutes(now, eventType.max_days_in_future * 1440)
+        : null
+});
+
+// UTC bounds of the calendar day or ISO week (Monday to Sunday) containing the instant in the given timezone
+export const getPeriodBounds = (instant, timezone, period) => {
+    const { date } = getZonedDateTime(instant, timezone);
+    const startDate = period === 'week' ? addDays(date, 1 - getDayOfWeek(date)) : date;
+    const endDate = addDays(startDate, period === 'week' ? 7 : 1);
+
+    return {
+        start: zonedTimeToUtc(startDate, '00:00:00', timezone),
+        end: zonedTimeToUtc(endDate, '00:00:00', timezone),
+        start_date: startDate
+    };
+};
+
+export const rangesOverlap = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+// First out-of-office period overlapping the inclusive date range, if any
+export const findOutOfOfficePeriod = (availability, fromDate, toDate) =>
+    (availability.out_of_office || []).find(period =>
+        period.start_date <= toDate && period.end_date >= fromDate
+    ) || null;
+
+// Hours that apply on a date: out-of-office periods block the whole date, date overrides
+// replace the weekly intervals for that date, and an override without times means the date is unavailable
+export const getHoursForDate = (availability, dateString) => {
+    if (findOutOfOfficePeriod(availability, dateString, dateString)) {
+        return [];
+    }
+
+    const overrides = (availability.overrides || []).filter(override => override.date === dateString);
+    if (overrides.length > 0) {
+        return overrides.filter(override => override.start_time && override.end_time);
+    }
+
+    const dayOfWeek = getDayOfWeek(dateString);
+    return availability.intervals.filter(interval => interval.day_of_week === dayOfWeek);
+};
+
+// Expand an availability into concrete { start, end } windows for every date in [fromDate, toDate].
+// Dates and times are wall-clock values in the availability's timezone.
+export const expandAvailability = (availability, fromDate, toDate) => {
+    const timezone = availability.timezone || 'UTC';
+    const windows = [];
+
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        for (const hours of getHoursForDate(availability, date)) {
+            windows.push({
+                start: zonedTimeToUtc(date, hours.start_time, timezone),
+                end: zonedTimeToUtc(date, hours.end_time, timezone)
+            });
+        }
+    }
+
+    return windows.sort((a, b) => a.start - b.start);
+};
+
+// Expand weekly intervals (without overrides) into concrete windows
+export const expandIntervals = (intervals, fromDate, toDate, timezone = 'UTC') =>
+    expandAvailability({ intervals, timezone }, fromDate, toDate);
+
+// Dates of a recurrence starting on startDate (inclusive), stopping at `count` occurrences, the
+// `until` date or `limit` dates, whichever comes first. Monthly rules skip months without that day.
+export const getRecurrenceDates = (startDate, { frequency, interval = 1, count, until }, limit) => {
+    const dates = [];
+    const maxDates = Math.min(count ?? limit, limit);
+
+    for (let step = 0; dates.length < maxDates; step++) {
+        let date;
+        if (frequency === 'monthly') {
+            date = addMonths(startDate, step * interval);
+            if (date === null) {
+                continue;
+            }
+        } else {
+            date = addDays(startDate, step * interval * (frequency === 'weekly' ? 7 : 1));
+        }
+
+        if (until && date > until) {
+            break;
+        }
+        dates.push(date);
+    }
+
+    return dates;
+};
+
+// Split windows into back-to-back slots of the given duration (in minutes)
+export const generateSlots = (windows, durationMinutes) => {
+    const slots = [];
+    const durationMs = durationMinutes * 60 * 1000;
+
+    for (const window of windows) {
+        for (let start = window.start.getTime(); start + durationMs <= window.end.getTime(); start += durationMs) {
+            slots.push({
+                start: new Date(start),
+                end: new Date(start + durationMs)
+            });
+        }
+    }
+
+    return slots;
+};
@@ -1,4 +1,47 @@
 import { z } from 'zod';
+import { isValidTimezone } from './timeUtils.js';
+
+// Booking times are instants, given in UTC ('Z') or with an explicit offset such as -05:00
+const instantSchema = (label) => z.string()
+    .datetime({ offset: true, message: `${label} must be a valid ISO datetime with a timezone` });
+
+// A YYYY-MM-DD date that exists on the calendar; 2026-02-30 fails the round trip through Date
+const calendarDateSchema = (label) => z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, `${label} must be in YYYY-MM-DD format`)
+    .refine(value => {
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }, `${label} must be a valid calendar date`);
+
+// A numeric id from a query string; ids are PostgreSQL INTEGERs, so larger values are rejected
+const queryIdSchema = (label) => z.coerce.number()
+    .int(`${label} must be an integer`)
+    .positive(`${label} must be positive`)
+    .max(2147483647, `${label} is too large`);
+
+// A question on an event type's booking form; its name is the key of the answer in a booking's responses
+const bookingQuestionSchema = z.object({
+    name: z.string()
+        .regex(/^[a-z][a-z0-9_]*$/, 'Question name must start with a letter and contain only lowercase letters, numbers, and underscores')
+        .max(50, 'Question name cannot exceed 50 characters'),
+    label: z.string()
+        .min(1, 'Question label is required')
+        .max(255, 'Question label cannot exceed 255 characters'),
+    type: z.enum(['text', 'select', 'checkbox', 'phone'], {
+        message: "Question type must be 'text', 'select', 'checkbox' or 'phone'"
+    }),
+    required: z.boolean().default(false),
+    options: z.array(z.string().min(1, 'Options cannot be empty')).optional(),
+}).refine(question => question.type !== 'select' || (question.options?.length ?? 0) > 0, {
+    message: 'Select questions need at least one option',
+    path: ['options']
+});
+
+const bookingQuestionsSchema = z.array(bookingQuestionSchema)
+    .max(20, 'An event type cannot have more than 20 booking questions')
+    .refine(questions => new Set(questions.map(question => question.name)).size === questions.length, {
+        message: 'Booking question names must be unique'
+    });
 
 // Schema for creating event type
 export const eventTypeSchema = z.object({
@@ -16,6 +59,41 @@ export const eventTypeSchema = z.object({
         .optional(),
     user_id: z.number().int().optional(),
     availability_id: z.number().int().positive().optional(),
+    buffer_before: z.number()
+        .int('Buffer before must be an integer')
+        .min(0, 'Buffer before cannot be negative')
+        .max(1440, 'Buffer before cannot exceed 1440 minutes (24 hours)')
+        .optional(),
+    buffer_after: z.number()
+        .int('Buffer after must be an integer')
+        .min(0, 'Buffer after cannot be negative')
+        .max(1440, 'Buffer after cannot exceed 1440 minutes (24 hours)')
+        .optional(),
+    minimum_notice_minutes: z.number()
+        .int('Minimum notice must be an integer')
+        .min(0, 'Minimum notice cannot be negative')
+        .max(525600, 'Minimum notice cannot exceed 525600 minutes (1 year)')
+        .optional(),
+    max_days_in_future: z.number()
+        .int('Max days in future must be an integer')
+        .positive('Max days in future must be a positive number')
+        .max(3650, 'Max days in future cannot exceed 3650 days')
+        .optional(),
+    max_bookings_per_day: z.number()
+        .int('Max bookings per day must be an integer')
+        .positive('Max bookings per day must be a positive number')
+        .optional(),
+    max_bookings_per_week: z.number()
+        .int('Max bookings per week must be an integer')
+        .positive('Max bookings per week must be a positive number')
+        .optional(),
+    requires_confirmation: z.boolean().optional(),
+    seats_per_slot: z.number()
+        .int('Seats per slot must be an integer')
+        .positive('Seats per slot must be a positive number')
+        .max(1000, 'Seats per slot cannot exceed 1000')
+        .optional(),
+    booking_questions: bookingQuestionsSchema.optional(),
 });
 
 // Schema for updating event type (all fields optional except at least one must be provided)
@@ -36,6 +114,46 @@ export const updateEventTypeSchema = z.object({
         .optional(),
     user_id: z.number().int().optional(),
     availability_id: z.number().int().positive().optional().nullable(),
+    buffer_before: z.number()
+        .int('Buffer before must be an integer')
+        .min(0, 'Buffer before cannot be negative')
+        .max(1440, 'Buffer before cannot exceed 1440 minutes (24 hours)')
+        .optional(),
+    buffer_after: z.number()
+        .int('Buffer after must be an integer')
+        .min(0, 'Buffer after cannot be negative')
+        .max(1440, 'Buffer after cannot exceed 1440 minutes (24 hours)')
+        .optional(),
+    minimum_notice_minutes: z.number()
+        .int('Minimum notice must be an integer')
+        .min(0, 'Minimum notice cannot be negative')
+        .max(525600, 'Minimum notice cannot exceed 525600 minutes (1 year)')
+        .nullable()
+        .optional(),
+    max_days_in_future: z.number()
+        .int('Max days in future must be an integer')
+        .positive('Max days in future must be a positive number')
+        .max(3650, 'Max days in future cannot exceed 3650 days')
+        .nullable()
+        .optional(),
+    max_bookings_per_day: z.number()
+        .int('Max bookings per day must be an integer')
+        .positive('Max bookings per day must be a positive number')
+        .nullable()
+        .optional(),
+    max_bookings_per_week: z.number()
+        .int('Max bookings per week must be an integer')
+        .positive('Max bookings per week must be a positive number')
+        .nullable()
+        .optional(),
+    requires_confirmation: z.boolean().optional(),
+    seats_per_slot: z.number()
+        .int('Seats per slot must be an integer')
+        .positive('Seats per slot must be a positive number')
+        .max(1000, 'Seats per slot cannot exceed 1000')
+        .nullable()
+        .optional(),
+    booking_questions: bookingQuestionsSchema.optional(),
 }).refine(data => Object.keys(data).length > 0, {
     message: 'At least one field must be provided for update',
 });
@@ -57,6 +175,7 @@ export const availabilitySchema = z.object({
         .min(1, 'Name is required')
         .max(255, 'Name cannot exceed 255 characters'),
     timezone: z.string()
+        .refine(isValidTimezone, 'Timezone must be a valid IANA timezone')
         .default('UTC')
         .optional(),
     intervals: z.array(intervalSchema).optional(),
@@ -76,7 +195,9 @@ export const updateAvailabilitySchema = z.object({
         .min(1, 'Name cannot be empty')
         .max(255, 'Name cannot exceed 255 characters')
         .optional(),
-    timezone: z.string().optional(),
+    timezone: z.string()
+        .refine(isValidTimezone, 'Timezone must be a valid IANA timezone')
+        .optional(),
     intervals: z.array(intervalSchema).optional(),
 }).refine(data => Object.keys(data).length > 0, {
     message: 'At least one field must be provided for update',
@@ -90,6 +211,69 @@ export const updateAvailabilitySchema = z.object({
     path: ['intervals']
 });
 
+// Schema for creating a date override (omit start_time/end_time to mark the date unavailable)
+export const overrideSchema = z.object({
+    date: calendarDateSchema('Date'),
+    start_time: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/, 'Start time must be in HH:MM:SS format').optional(),
+    end_time: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/, 'End time must be in HH:MM:SS format').optional(),
+}).refine(data => (data.start_time === undefined) === (data.end_time === undefined), {
+    message: 'Start time and end time must be provided together',
+    path: ['start_time']
+}).refine(data => !data.start_time || data.start_time < data.end_time, {
+    message: 'Start time must be before end time',
+    path: ['start_time']
+});
+
+// Schema for updating a date override (set start_time/end_time to null to mark the date unavailable)
+export const updateOverrideSchema = z.object({
+    date: calendarDateSchema('Date').optional(),
+    start_time: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/, 'Start time must be in HH:MM:SS format').nullable().optional(),
+    end_time: z.string().regex(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]:[0-5][0-9]$/, 'End time must be in HH:MM:SS format').nullable().optional(),
+}).refine(data => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided for update',
+});
+
+// Schema for creating an out-of-office period (inclusive dates)
+export const outOfOfficeSchema = z.object({
+    start_date: calendarDateSchema('Start date'),
+    end_date: calendarDateSchema('End date'),
+    reason: z.string().max(500, 'Reason cannot exceed 500 characters').optional(),
+}).refine(data => data.start_date <= data.end_date, {
+    message: 'Start date must be on or before end date',
+    path: ['start_date']
+});
+
+// Schema for updating an out-of-office period
+export const updateOutOfOfficeSchema = z.object({
+    start_date: calendarDateSchema('Start date').optional(),
+    end_date: calendarDateSchema('End date').optional(),
+    reason: z.string().max(500, 'Reason cannot exceed 500 characters').nullable().optional(),
+}).refine(data => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided for update',
+});
+
+// Schema for a recurrence rule (give either count or until, an inclusive YYYY-MM-DD date)
+export const recurrenceSchema = z.object({
+    frequency: z.enum(['daily', 'weekly', 'monthly'], 'Frequency must be daily, weekly or monthly'),
+    interval: z.number()
+        .int('Interval must be an integer')
+        .positive('Interval must be a positive number')
+        .max(52, 'Interval cannot exceed 52')
+        .default(1),
+    count: z.number()
+        .int('Count must be an integer')
+        .positive('Count must be a positive number')
+        .max(52, 'A series cannot have more than 52 occurrences')
+        .optional(),
+    until: calendarDateSchema('Until').optional(),
+}).refine(data => (data.count === undefined) !== (data.until === undefined), {
+    message: 'Exactly one of count or until must be provided',
+    path: ['count']
+});
+
+// Which bookings of a series an operation applies to
+const seriesScopeSchema = z.enum(['this', 'following'], 'Scope must be either this or following').default('this');
+
 // Schema for creating booking
 export const bookingSchema = z.object({
     event_type_id: z.number()
@@ -101,11 +285,20 @@ export const bookingSchema = z.object({
         .min(1, 'Name is required')
         .max(255, 'Name cannot exceed 255 characters'),
     additional_notes: z.string().optional(),
-    start_time: z.string().datetime('Start time must be a valid ISO datetime'),
-    end_time: z.string().datetime('End time must be a valid ISO datetime'),
-    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+    start_time: instantSchema('Start time'),
+    end_time: instantSchema('End time'),
+    // The booking's day is derived from start_time in the host's timezone; a date sent here must match it
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
     meeting_link: z.string().url('Meeting link must be a valid URL').optional().or(z.literal('')),
-    booking_status: z.enum(['confirmed', 'pending', 'cancelled', 'completed']).default('confirmed').optional(),
+    // New bookings start pending or confirmed; later statuses are reached through the status transitions
+    booking_status: z.enum(['confirmed', 'pending'], {
+        message: "New bookings must be 'pending' or 'confirmed'"
+    }).default('confirmed').optional(),
+    recurrence: recurrenceSchema.optional(),
+    // Answers are checked against the event type's booking_questions (see buildResponsesSchema)
+    responses: z.record(z.string(), z.unknown()).optional(),
+    // Token from POST /event-type/:id/reservations; the held slot is not a conflict for its holder
+    reservation_token: z.string().uuid('Reservation token must be a valid UUID').optional(),
 }).refine(data => new Date(data.start_time) < new Date(data.end_time), {
     message: 'Start time must be before end time',
     path: ['start_time']
@@ -121,11 +314,16 @@ export const updateBookingSchema = z.object({
         .max(255, 'Name cannot exceed 255 characters')
         .optional(),
     additional_notes: z.string().optional(),
-    start_time: z.string().datetime('Start time must be a valid ISO datetime').optional(),
-    end_time: z.string().datetime('End time must be a valid ISO datetime').optional(),
+    start_time: instantSchema('Start time').optional(),
+    end_time: instantSchema('End time').optional(),
     date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
     meeting_link: z.string().url('Meeting link must be a valid URL').optional().or(z.literal('')),
-    booking_status: z.enum(['confirmed', 'pending', 'cancelled', 'completed']).optional(),
+    // Cancelling goes through POST /bookings/:id/cancel, which records the reason and who cancelled
+    booking_status: z.enum(['confirmed', 'pending', 'completed'], {
+        error: issue => issue.input === 'cancelled'
+            ? 'Use POST /bookings/:id/cancel to cancel a booking'
+            : "Booking status must be 'pending', 'confirmed' or 'completed'"
+    }).optional(),
 }).refine(data => Object.keys(data).length > 0, {
     message: 'At least one field must be provided for update',
 }).refine(data => {
@@ -138,6 +336,202 @@ export const updateBookingSchema = z.object({
     path: ['start_time']
 });
 
+// Schema for rescheduling a booking to a new time
+export const rescheduleBookingSchema = z.object({
+    start_time: instantSchema('Start time'),
+    end_time: instantSchema('End time'),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+    reason: z.string().max(500, 'Reason cannot exceed 500 characters').optional(),
+    rescheduled_by: z.enum(['host', 'attendee'], 'Rescheduled by must be either host or attendee').optional(),
+    scope: seriesScopeSchema,
+}).refine(data => new Date(data.start_time) < new Date(data.end_time), {
+    message: 'Start time must be before end time',
+    path: ['start_time']
+});
+
+// Schema for cancelling a booking
+export const cancelBookingSchema = z.object({
+    reason: z.string()
+        .trim()
+        .min(1, 'Cancellation reason is required')
+        .max(500, 'Reason cannot exceed 500 characters'),
+    cancelled_by: z.enum(['host', 'attendee'], 'Cancelled by must be either host or attendee'),
+    scope: seriesScopeSchema,
+});
+
+// Schema for cancelling one attendee's seat in a seated booking
+export const cancelSeatSchema = z.object({
+    reason: z.string()
+        .trim()
+        .min(1, 'Cancellation reason is required')
+        .max(500, 'Reason cannot exceed 500 characters'),
+});
+
+// Schema for adding a guest attendee to a booking
+export const attendeeSchema = z.object({
+    email: z.string()
+        .email('Invalid email address'),
+    name: z.string()
+        .min(1, 'Name is required')
+        .max(255, 'Name cannot exceed 255 characters'),
+});
+
+// Schema for rejecting a pending booking
+export const rejectBookingSchema = z.object({
+    reason: z.string()
+        .trim()
+        .min(1, 'Rejection reason is required')
+        .max(500, 'Reason cannot exceed 500 characters'),
+});
+
+// Schema for marking a booking's attendee as a no-show
+export const noShowSchema = z.object({
+    no_show: z.boolean().default(true),
+});
+
+// Schema for slot lookup query params (from/to are inclusive calendar dates)
+export const slotsQuerySchema = z.object({
+    from: calendarDateSchema('From'),
+    to: calendarDateSchema('To'),
+    timezone: z.string()
+        .refine(isValidTimezone, 'Timezone must be a valid IANA timezone')
+        .optional(),
+}).refine(data => data.from <= data.to, {
+    message: 'From date must be on or before to date',
+    path: ['from']
+}).refine(data => (new Date(data.to) - new Date(data.from)) / 86400000 <= 62, {
+    message: 'Date range cannot exceed 62 days',
+    path: ['to']
+});
+
+// Schema for joining the waitlist of a taken slot
+export const waitlistSchema = z.object({
+    event_type_id: z.number()
+        .int('Event type ID must be an integer')
+        .positive('Event type ID must be positive'),
+    client_email: z.string()
+        .email('Invalid email address'),
+    name: z.string()
+        .min(1, 'Name is required')
+        .max(255, 'Name cannot exceed 255 characters'),
+    additional_notes: z.string().optional(),
+    start_time: instantSchema('Start time'),
+    end_time: instantSchema('End time'),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+}).refine(data => new Date(data.start_time) < new Date(data.end_time), {
+    message: 'Start time must be before end time',
+    path: ['start_time']
+});
+
+// Schema for holding a slot while the booker fills in the form
+export const reservationSchema = z.object({
+    start_time: instantSchema('Start time'),
+    end_time: instantSchema('End time'),
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+    ttl_minutes: z.number()
+        .int('TTL must be an integer')
+        .positive('TTL must be a positive number')
+        .max(60, 'TTL cannot exceed 60 minutes')
+        .optional(),
+}).refine(data => new Date(data.start_time) < new Date(data.end_time), {
+    message: 'Start time must be before end time',
+    path: ['start_time']
+});
+
+// Schema for the paging, sorting and date range query parameters of booking lists
+export const bookingListQuerySchema = z.object({
+    limit: z.coerce.number()
+        .int('Limit must be an integer')
+        .min(1, 'Limit must be at least 1')
+        .max(100, 'Limit cannot exceed 100')
+        .default(50),
+    cursor: z.string().min(1, 'Cursor cannot be empty').optional(),
+    sort: z.enum(['start_time', '-start_time', 'created_at', '-created_at'], {
+        error: 'Sort must be one of start_time, -start_time, created_at, -created_at'
+    }).optional(),
+    from: calendarDateSchema('From').optional(),
+    to: calendarDateSchema('To').optional(),
+    upcoming: z.enum(['true', 'false'], { error: 'upcoming must be true or false' })
+        .transform(value => value === 'true')
+        .optional(),
+    past: z.enum(['true', 'false'], { error: 'past must be true or false' })
+        .transform(value => value === 'true')
+        .optional(),
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+    message: 'From must be on or before to',
+    path: ['from']
+}).refine(data => !(data.upcoming && data.past), {
+    message: 'upcoming and past cannot be combined',
+    path: ['upcoming']
+});
+
+// Schema for the query parameters of booking search
+export const bookingSearchQuerySchema = z.object({
+    q: z.string({ error: 'Search query is required' })
+        .trim()
+        .min(1, 'Search query is required')
+        .max(200, 'Search query cannot exceed 200 characters'),
+    event_type_id: queryIdSchema('Event type ID').optional(),
+    booking_status: z.enum(['pending', 'confirmed', 'cancelled', 'completed', 'rejected']).optional(),
+    limit: z.coerce.number()
+        .int('Limit must be an integer')
+        .min(1, 'Limit must be at least 1')
+        .max(100, 'Limit cannot exceed 100')
+        .default(20),
+});
+
+// Query parameters of GET /bookings/no-show-rates (from and to are inclusive booking dates)
+export const noShowRateQuerySchema = z.object({
+    event_type_id: queryIdSchema('Event type ID').optional(),
+    from: calendarDateSchema('From').optional(),
+    to: calendarDateSchema('To').optional(),
+}).refine(data => !data.from || !data.to || data.from <= data.to, {
+    message: 'From must be on or before to',
+    path: ['from']
+});
+
+// Build the schema for a booking's answers to an event type's booking questions. Unknown answers are
+// rejected and optional questions may be left out.
+export const buildResponsesSchema = (questions = []) => {
+    const shape = {};
+
+    for (const question of questions) {
+        const invalid = (expected) => ({
+            error: issue => issue.input === undefined
+                ? `${question.label} is required`
+                : `${question.label} must be ${expected}`
+        });
+
+        let answer;
+        switch (question.type) {
+            case 'select':
+                answer = z.enum(question.options, invalid(`one of: ${question.options.join(', ')}`));
+                break;
+            case 'checkbox':
+                // A required checkbox (e.g. accepting terms) has to be ticked
+                answer = question.required
+                    ? z.literal(true, invalid('checked'))
+                    : z.boolean(invalid('true or false'));
+                break;
+            case 'phone':
+                answer = z.string(invalid('a phone number'))
+                    .regex(/^\+?[0-9][0-9 ().-]{5,18}[0-9]$/, `${question.label} must be a valid phone number`);
+                break;
+            default:
+                answer = z.string(invalid('text'))
+                    .trim()
+                    .max(1000, `${question.label} cannot exceed 1000 characters`);
+                if (question.required) {
+                    answer = answer.min(1, `${question.label} is required`);
+                }
+        }
+
+        shape[question.name] = question.required ? answer : answer.optional();
+    }
+
+    return z.object(shape).strict();
+};
+
 export const formatZodError = (zodError) => {
     if (!zodError) {
         return {
@@ -2,7 +2,16 @@
 
 import BaseController from '../../core/baseController.js';
 import availabilityService from './availability.service.js';
-import { availabilitySchema, updateAvailabilitySchema, intervalSchema, formatZodError } from '../../core/validationSchema.js';
+import {
+    availabilitySchema,
+    updateAvailabilitySchema,
+    intervalSchema,
+    overrideSchema,
+    updateOverrideSchema,
+    outOfOfficeSchema,
+    updateOutOfOfficeSchema,
+    formatZodError
+} from '../../core/validationSchema.js';
 
 class AvailabilityController extends BaseController {
     constructor() {
@@ -200,6 +209,198 @@ class AvailabilityController extends BaseController {
             return this.handleError(res, 'Failed to delete interval', error);
         }
     }
+
+    async getOverrides(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const availabilityId = parseInt(id);
+            if (isNaN(availabilityId)) {
+                return this.handleError(res, 'Invalid availability ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID must be a valid number'
+                });
+            }
+
+            const overrides = await this.availabilityService.getOverrides(availabilityId);
+            return this.handleSuccess(res, overrides, 'Overrides fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get overrides', error);
+        }
+    }
+
+    async addOverride(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const availabilityId = parseInt(id);
+            if (isNaN(availabilityId)) {
+                return this.handleError(res, 'Invalid availability ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = overrideSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const override = await this.availabilityService.addOverride(availabilityId, result.data);
+            return this.handleSuccess(res, override, 'Override added successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to add override', error);
+        }
+    }
+
+    async updateOverride(req, res) {
+        try {
+            const { id, overrideId } = req.params;
+
+            // Validate ids are numbers
+            const availabilityId = parseInt(id);
+            const parsedOverrideId = parseInt(overrideId);
+            if (isNaN(availabilityId) || isNaN(parsedOverrideId)) {
+                return this.handleError(res, 'Invalid ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID and override ID must be valid numbers'
+                });
+            }
+
+            // Validate request body
+            const result = updateOverrideSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const override = await this.availabilityService.updateOverride(availabilityId, parsedOverrideId, result.data);
+            return this.handleSuccess(res, override, 'Override updated successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to update override', error);
+        }
+    }
+
+    async deleteOverride(req, res) {
+        try {
+            const { id, overrideId } = req.params;
+
+            // Validate ids are numbers
+            const availabilityId = parseInt(id);
+            const parsedOverrideId = parseInt(overrideId);
+            if (isNaN(availabilityId) || isNaN(parsedOverrideId)) {
+                return this.handleError(res, 'Invalid ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID and override ID must be valid numbers'
+                });
+            }
+
+            const result = await this.availabilityService.deleteOverride(availabilityId, parsedOverrideId);
+            return this.handleSuccess(res, result, 'Override deleted successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to delete override', error);
+        }
+    }
+
+    async getOutOfOffice(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const availabilityId = parseInt(id);
+            if (isNaN(availabilityId)) {
+                return this.handleError(res, 'Invalid availability ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID must be a valid number'
+                });
+            }
+
+            const periods = await this.availabilityService.getOutOfOffice(availabilityId);
+            return this.handleSuccess(res, periods, 'Out-of-office periods fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get out-of-office periods', error);
+        }
+    }
+
+    async addOutOfOffice(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const availabilityId = parseInt(id);
+            if (isNaN(availabilityId)) {
+                return this.handleError(res, 'Invalid availability ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = outOfOfficeSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const period = await this.availabilityService.addOutOfOffice(availabilityId, result.data);
+            return this.handleSuccess(res, period, 'Out-of-office period added successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to add out-of-office period', error);
+        }
+    }
+
+    async updateOutOfOffice(req, res) {
+        try {
+            const { id, outOfOfficeId } = req.params;
+
+            // Validate ids are numbers
+            const availabilityId = parseInt(id);
+            const periodId = parseInt(outOfOfficeId);
+            if (isNaN(availabilityId) || isNaN(periodId)) {
+                return this.handleError(res, 'Invalid ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID and out-of-office ID must be valid numbers'
+                });
+            }
+
+            // Validate request body
+            const result = updateOutOfOfficeSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const period = await this.availabilityService.updateOutOfOffice(availabilityId, periodId, result.data);
+            return this.handleSuccess(res, period, 'Out-of-office period updated successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to update out-of-office period', error);
+        }
+    }
+
+    async deleteOutOfOffice(req, res) {
+        try {
+            const { id, outOfOfficeId } = req.params;
+
+            // Validate ids are numbers
+            const availabilityId = parseInt(id);
+            const periodId = parseInt(outOfOfficeId);
+            if (isNaN(availabilityId) || isNaN(periodId)) {
+                return this.handleError(res, 'Invalid ID', {
+                    name: 'ValidationError',
+                    message: 'Availability ID and out-of-office ID must be valid numbers'
+                });
+            }
+
+            const result = await this.availabilityService.deleteOutOfOffice(availabilityId, periodId);
+            return this.handleSuccess(res, result, 'Out-of-office period deleted successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to delete out-of-office period', error);
+        }
+    }
 }
 
 const availabilityController = new AvailabilityController();
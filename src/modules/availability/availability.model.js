@@ -83,10 +83,14 @@ class AvailabilityModel {
 
             const availability = availabilityResult.rows[0];
             const intervals = await this.getIntervalsByAvailabilityId(id);
+            const overrides = await this.getOverridesByAvailabilityId(id);
+            const outOfOffice = await this.getOutOfOfficeByAvailabilityId(id);
 
             return {
                 ...availability,
-                intervals
+                intervals,
+                overrides,
+                out_of_office: outOfOffice
             };
         } catch (error) {
             console.error('Error finding availability by id:', error);
@@ -270,6 +274,230 @@ class AvailabilityModel {
         }
     }
 
+    // Get date overrides by availability ID (date is returned as YYYY-MM-DD)
+    async getOverridesByAvailabilityId(availabilityId) {
+        try {
+            const result = await pool.query(
+                `SELECT id, availability_id, date::TEXT AS date, start_time, end_time, created_at, updated_at
+                 FROM availability_override
+                 WHERE availability_id = $1
+                 ORDER BY date, start_time NULLS FIRST`,
+                [availabilityId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching overrides:', error);
+            throw error;
+        }
+    }
+
+    // Find override by ID
+    async findOverrideById(overrideId) {
+        try {
+            const result = await pool.query(
+                `SELECT id, availability_id, date::TEXT AS date, start_time, end_time, created_at, updated_at
+                 FROM availability_override
+                 WHERE id = $1`,
+                [overrideId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding override by id:', error);
+            throw error;
+        }
+    }
+
+    // Add date override to existing availability
+    async addOverride(availabilityId, override) {
+        try {
+            const result = await pool.query(
+                `INSERT INTO availability_override (availability_id, date, start_time, end_time)
+                 VALUES ($1, $2, $3::TIME, $4::TIME)
+                 RETURNING id, availability_id, date::TEXT AS date, start_time, end_time, created_at, updated_at`,
+                [availabilityId, override.date, override.start_time || null, override.end_time || null]
+            );
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error adding override:', error);
+            throw error;
+        }
+    }
+
+    // Update date override
+    async updateOverride(overrideId, override) {
+        try {
+            const { date, start_time, end_time } = override;
+            const updates = [];
+            const values = [];
+            let paramIndex = 1;
+
+            if (date !== undefined) {
+                updates.push(`date = $${paramIndex}`);
+                values.push(date);
+                paramIndex++;
+            }
+
+            if (start_time !== undefined) {
+                updates.push(`start_time = $${paramIndex}::TIME`);
+                values.push(start_time);
+                paramIndex++;
+            }
+
+            if (end_time !== undefined) {
+                updates.push(`end_time = $${paramIndex}::TIME`);
+                values.push(end_time);
+                paramIndex++;
+            }
+
+            if (updates.length === 0) {
+                throw new Error('No fields to update');
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(overrideId);
+
+            const result = await pool.query(
+                `UPDATE availability_override
+                 SET ${updates.join(', ')}
+                 WHERE id = $${paramIndex}
+                 RETURNING id, availability_id, date::TEXT AS date, start_time, end_time, created_at, updated_at`,
+                values
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating override:', error);
+            throw error;
+        }
+    }
+
+    // Delete date override
+    async deleteOverride(overrideId) {
+        try {
+            const result = await pool.query(
+                `DELETE FROM availability_override
+                 WHERE id = $1
+                 RETURNING id, availability_id, date::TEXT AS date, start_time, end_time`,
+                [overrideId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error deleting override:', error);
+            throw error;
+        }
+    }
+
+    // Get out-of-office periods by availability ID (dates are returned as YYYY-MM-DD)
+    async getOutOfOfficeByAvailabilityId(availabilityId) {
+        try {
+            const result = await pool.query(
+                `SELECT id, availability_id, start_date::TEXT AS start_date, end_date::TEXT AS end_date, reason, created_at, updated_at
+                 FROM out_of_office
+                 WHERE availability_id = $1
+                 ORDER BY start_date`,
+                [availabilityId]
+            );
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching out-of-office periods:', error);
+            throw error;
+        }
+    }
+
+    // Find out-of-office period by ID
+    async findOutOfOfficeById(outOfOfficeId) {
+        try {
+            const result = await pool.query(
+                `SELECT id, availability_id, start_date::TEXT AS start_date, end_date::TEXT AS end_date, reason, created_at, updated_at
+                 FROM out_of_office
+                 WHERE id = $1`,
+                [outOfOfficeId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding out-of-office period by id:', error);
+            throw error;
+        }
+    }
+
+    // Add out-of-office period to existing availability
+    async addOutOfOffice(availabilityId, period) {
+        try {
+            const result = await pool.query(
+                `INSERT INTO out_of_office (availability_id, start_date, end_date, reason)
+                 VALUES ($1, $2, $3, $4)
+                 RETURNING id, availability_id, start_date::TEXT AS start_date, end_date::TEXT AS end_date, reason, created_at, updated_at`,
+                [availabilityId, period.start_date, period.end_date, period.reason || null]
+            );
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error adding out-of-office period:', error);
+            throw error;
+        }
+    }
+
+    // Update out-of-office period
+    async updateOutOfOffice(outOfOfficeId, period) {
+        try {
+            const { start_date, end_date, reason } = period;
+            const updates = [];
+            const values = [];
+            let paramIndex = 1;
+
+            if (start_date !== undefined) {
+                updates.push(`start_date = $${paramIndex}`);
+                values.push(start_date);
+                paramIndex++;
+            }
+
+            if (end_date !== undefined) {
+                updates.push(`end_date = $${paramIndex}`);
+                values.push(end_date);
+                paramIndex++;
+            }
+
+            if (reason !== undefined) {
+                updates.push(`reason = $${paramIndex}`);
+                values.push(reason);
+                paramIndex++;
+            }
+
+            if (updates.length === 0) {
+                throw new Error('No fields to update');
+            }
+
+            updates.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(outOfOfficeId);
+
+            const result = await pool.query(
+                `UPDATE out_of_office
+                 SET ${updates.join(', ')}
+                 WHERE id = $${paramIndex}
+                 RETURNING id, availability_id, start_date::TEXT AS start_date, end_date::TEXT AS end_date, reason, created_at, updated_at`,
+                values
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating out-of-office period:', error);
+            throw error;
+        }
+    }
+
+    // Delete out-of-office period
+    async deleteOutOfOffice(outOfOfficeId) {
+        try {
+            const result = await pool.query(
+                `DELETE FROM out_of_office
+                 WHERE id = $1
+                 RETURNING id, availability_id, start_date::TEXT AS start_date, end_date::TEXT AS end_date, reason, created_at, updated_at`,
+                [outOfOfficeId]
+            );
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error deleting out-of-office period:', error);
+            throw error;
+        }
+    }
+
     // Get default availability (first availability or create one if none exists)
     async getDefaultAvailability() {
         try {
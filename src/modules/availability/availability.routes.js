@@ -30,4 +30,28 @@ router.put('/intervals/:intervalId', availabilityController.updateInterval.bind(
 // Delete interval
 router.delete('/intervals/:intervalId', availabilityController.deleteInterval.bind(availabilityController));
 
+// Get date overrides for availability
+router.get('/:id/overrides', availabilityController.getOverrides.bind(availabilityController));
+
+// Add date override to availability
+router.post('/:id/overrides', availabilityController.addOverride.bind(availabilityController));
+
+// Update date override
+router.put('/:id/overrides/:overrideId', availabilityController.updateOverride.bind(availabilityController));
+
+// Delete date override
+router.delete('/:id/overrides/:overrideId', availabilityController.deleteOverride.bind(availabilityController));
+
+// Get out-of-office periods for availability
+router.get('/:id/out-of-office', availabilityController.getOutOfOffice.bind(availabilityController));
+
+// Add out-of-office period to availability
+router.post('/:id/out-of-office', availabilityController.addOutOfOffice.bind(availabilityController));
+
+// Update out-of-office period
+router.put('/:id/out-of-office/:outOfOfficeId', availabilityController.updateOutOfOffice.bind(availabilityController));
+
+// Delete out-of-office period
+router.delete('/:id/out-of-office/:outOfOfficeId', availabilityController.deleteOutOfOffice.bind(availabilityController));
+
 export default router;
@@ -265,6 +265,217 @@ class AvailabilityService {
             );
         }
     }
+
+    async getOverrides(availabilityId) {
+        try {
+            const availability = await this.availabilityModel.findById(availabilityId);
+            if (!availability) {
+                throw new CustomError(
+                    `Availability with id ${availabilityId} not found`,
+                    404
+                );
+            }
+
+            return availability.overrides;
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch overrides: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async addOverride(availabilityId, override) {
+        try {
+            const availability = await this.availabilityModel.findById(availabilityId);
+            if (!availability) {
+                throw new CustomError(
+                    `Availability with id ${availabilityId} not found`,
+                    404
+                );
+            }
+
+            return await this.availabilityModel.addOverride(availabilityId, override);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to add override: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async updateOverride(availabilityId, overrideId, override) {
+        try {
+            const existing = await this.availabilityModel.findOverrideById(overrideId);
+            if (!existing || existing.availability_id !== availabilityId) {
+                throw new CustomError(
+                    `Override with id ${overrideId} not found for availability ${availabilityId}`,
+                    404
+                );
+            }
+
+            // Validate the resulting hours, not just the fields being changed
+            const startTime = override.start_time !== undefined ? override.start_time : existing.start_time;
+            const endTime = override.end_time !== undefined ? override.end_time : existing.end_time;
+
+            if ((startTime === null) !== (endTime === null)) {
+                throw new CustomError(
+                    'Start time and end time must be provided together',
+                    400
+                );
+            }
+
+            if (startTime !== null && startTime >= endTime) {
+                throw new CustomError(
+                    'Start time must be before end time',
+                    400
+                );
+            }
+
+            return await this.availabilityModel.updateOverride(overrideId, override);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to update override: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async deleteOverride(availabilityId, overrideId) {
+        try {
+            const existing = await this.availabilityModel.findOverrideById(overrideId);
+            if (!existing || existing.availability_id !== availabilityId) {
+                throw new CustomError(
+                    `Override with id ${overrideId} not found for availability ${availabilityId}`,
+                    404
+                );
+            }
+
+            const deleted = await this.availabilityModel.deleteOverride(overrideId);
+            return {
+                message: 'Override deleted successfully',
+                deletedOverride: deleted
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to delete override: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getOutOfOffice(availabilityId) {
+        try {
+            const availability = await this.availabilityModel.findById(availabilityId);
+            if (!availability) {
+                throw new CustomError(
+                    `Availability with id ${availabilityId} not found`,
+                    404
+                );
+            }
+
+            return availability.out_of_office;
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch out-of-office periods: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async addOutOfOffice(availabilityId, period) {
+        try {
+            const availability = await this.availabilityModel.findById(availabilityId);
+            if (!availability) {
+                throw new CustomError(
+                    `Availability with id ${availabilityId} not found`,
+                    404
+                );
+            }
+
+            return await this.availabilityModel.addOutOfOffice(availabilityId, period);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to add out-of-office period: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async updateOutOfOffice(availabilityId, outOfOfficeId, period) {
+        try {
+            const existing = await this.availabilityModel.findOutOfOfficeById(outOfOfficeId);
+            if (!existing || existing.availability_id !== availabilityId) {
+                throw new CustomError(
+                    `Out-of-office period with id ${outOfOfficeId} not found for availability ${availabilityId}`,
+                    404
+                );
+            }
+
+            const startDate = period.start_date || existing.start_date;
+            const endDate = period.end_date || existing.end_date;
+            if (startDate > endDate) {
+                throw new CustomError(
+                    'Start date must be on or before end date',
+                    400
+                );
+            }
+
+            return await this.availabilityModel.updateOutOfOffice(outOfOfficeId, period);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to update out-of-office period: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async deleteOutOfOffice(availabilityId, outOfOfficeId) {
+        try {
+            const existing = await this.availabilityModel.findOutOfOfficeById(outOfOfficeId);
+            if (!existing || existing.availability_id !== availabilityId) {
+                throw new CustomError(
+                    `Out-of-office period with id ${outOfOfficeId} not found for availability ${availabilityId}`,
+                    404
+                );
+            }
+
+            const deleted = await this.availabilityModel.deleteOutOfOffice(outOfOfficeId);
+            return {
+                message: 'Out-of-office period deleted successfully',
+                deletedOutOfOffice: deleted
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to delete out-of-office period: ${error.message}`,
+                500
+            );
+        }
+    }
 }
 
 const availabilityService = new AvailabilityService();
@@ -2,7 +2,18 @@
 
 import BaseController from '../../core/baseController.js';
 import bookingsService from './bookings.service.js';
-import { bookingSchema, updateBookingSchema, formatZodError } from '../../core/validationSchema.js';
+import { bookingSchema, updateBookingSchema, rescheduleBookingSchema, cancelBookingSchema, cancelSeatSchema, attendeeSchema, waitlistSchema, rejectBookingSchema, noShowSchema, noShowRateQuerySchema, bookingListQuerySchema, bookingSearchQuerySchema, formatZodError } from '../../core/validationSchema.js';
+
+// Split the paging, sorting and date range query parameters of a booking list into extra filters and page options
+function parseListQuery(query) {
+    const result = bookingListQuerySchema.safeParse(query);
+    if (!result.success) {
+        return { error: formatZodError(result.error) };
+    }
+
+    const { limit, cursor, sort, from, to, upcoming, past } = result.data;
+    return { filters: { from, to, upcoming, past }, page: { limit, cursor, sort } };
+}
 
 class BookingsController extends BaseController {
     constructor() {
@@ -14,21 +25,72 @@ class BookingsController extends BaseController {
         try {
             const filters = {
                 event_type_id: req.query.event_type_id ? parseInt(req.query.event_type_id) : undefined,
+                series_id: req.query.series_id ? parseInt(req.query.series_id) : undefined,
                 date: req.query.date,
                 booking_status: req.query.booking_status,
-                client_email: req.query.client_email
+                client_email: req.query.client_email,
+                no_show: req.query.no_show !== undefined ? req.query.no_show === 'true' : undefined
             };
 
+            if (req.query.no_show !== undefined && !['true', 'false'].includes(req.query.no_show)) {
+                return this.handleError(res, 'Invalid no_show filter', {
+                    name: 'ValidationError',
+                    message: 'no_show must be true or false'
+                });
+            }
+
+            const list = parseListQuery(req.query);
+            if (list.error) {
+                return this.handleError(res, 'Validation failed', list.error);
+            }
+            Object.assign(filters, list.filters);
+
             // Remove undefined values
             Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
 
-            const bookings = await this.bookingsService.getAllBookings(filters);
-            return this.handleSuccess(res, bookings, 'Bookings fetched successfully');
+            const { bookings, pagination } = await this.bookingsService.getBookingsPage(filters, list.page);
+            return this.handlePaginatedSuccess(res, bookings, pagination, 'Bookings fetched successfully');
         } catch (error) {
             return this.handleError(res, 'Failed to get bookings', error);
         }
     }
 
+    async searchBookings(req, res) {
+        try {
+            const result = bookingSearchQuerySchema.safeParse(req.query);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const { q, limit, ...filters } = result.data;
+            Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+
+            const bookings = await this.bookingsService.searchBookings(q, filters, limit);
+            return this.handleSuccess(res, bookings, 'Bookings fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to search bookings', error);
+        }
+    }
+
+    async getNoShowRates(req, res) {
+        try {
+            const result = noShowRateQuerySchema.safeParse(req.query);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const filters = { ...result.data };
+            Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+
+            const rates = await this.bookingsService.getNoShowRates(filters);
+            return this.handleSuccess(res, rates, 'No-show rates fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to fetch no-show rates', error);
+        }
+    }
+
     async createBooking(req, res) {
         try {
             // Validate request body
@@ -38,6 +100,12 @@ class BookingsController extends BaseController {
                 return this.handleError(res, 'Validation failed', formattedError);
             }
 
+            // A recurrence rule creates a linked series of bookings
+            if (result.data.recurrence) {
+                const series = await this.bookingsService.createBookingSeries(result.data);
+                return this.handleSuccess(res, series, 'Booking series created successfully', 201);
+            }
+
             // Call service to create booking
             const booking = await this.bookingsService.createBooking(result.data);
             return this.handleSuccess(res, booking, 'Booking created successfully', 201);
@@ -81,14 +149,28 @@ class BookingsController extends BaseController {
 
             const filters = {
                 date: req.query.date,
-                booking_status: req.query.booking_status
+                booking_status: req.query.booking_status,
+                no_show: req.query.no_show !== undefined ? req.query.no_show === 'true' : undefined
             };
 
+            if (req.query.no_show !== undefined && !['true', 'false'].includes(req.query.no_show)) {
+                return this.handleError(res, 'Invalid no_show filter', {
+                    name: 'ValidationError',
+                    message: 'no_show must be true or false'
+                });
+            }
+
+            const list = parseListQuery(req.query);
+            if (list.error) {
+                return this.handleError(res, 'Validation failed', list.error);
+            }
+            Object.assign(filters, list.filters);
+
             // Remove undefined values
             Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
 
-            const bookings = await this.bookingsService.getBookingsByEventTypeId(id, filters);
-            return this.handleSuccess(res, bookings, 'Bookings fetched successfully');
+            const { bookings, pagination } = await this.bookingsService.getBookingsPageByEventTypeId(id, filters, list.page);
+            return this.handlePaginatedSuccess(res, bookings, pagination, 'Bookings fetched successfully');
         } catch (error) {
             return this.handleError(res, 'Failed to get bookings', error);
         }
@@ -122,6 +204,304 @@ class BookingsController extends BaseController {
         }
     }
 
+    async rescheduleBooking(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = rescheduleBookingSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const booking = await this.bookingsService.rescheduleBooking(bookingId, result.data);
+            return this.handleSuccess(res, booking, 'Booking rescheduled successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to reschedule booking', error);
+        }
+    }
+
+    async cancelBooking(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = cancelBookingSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const booking = await this.bookingsService.cancelBooking(bookingId, result.data);
+            return this.handleSuccess(res, booking, 'Booking cancelled successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to cancel booking', error);
+        }
+    }
+
+    async cancelSeat(req, res) {
+        try {
+            const { id, seatId } = req.params;
+
+            // Validate ids are numbers
+            const bookingId = parseInt(id);
+            const parsedSeatId = parseInt(seatId);
+            if (isNaN(bookingId) || isNaN(parsedSeatId)) {
+                return this.handleError(res, 'Invalid booking or seat ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID and seat ID must be valid numbers'
+                });
+            }
+
+            // Validate request body
+            const result = cancelSeatSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const booking = await this.bookingsService.cancelSeat(bookingId, parsedSeatId, result.data);
+            return this.handleSuccess(res, booking, 'Seat cancelled successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to cancel seat', error);
+        }
+    }
+
+    async joinWaitlist(req, res) {
+        try {
+            // Validate request body
+            const result = waitlistSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const entry = await this.bookingsService.joinWaitlist(result.data);
+            return this.handleSuccess(res, entry, 'Joined waitlist successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to join waitlist', error);
+        }
+    }
+
+    async getWaitlist(req, res) {
+        try {
+            const filters = {
+                event_type_id: req.query.event_type_id ? parseInt(req.query.event_type_id) : undefined,
+                waitlist_status: req.query.waitlist_status,
+                client_email: req.query.client_email
+            };
+
+            // Remove undefined values
+            Object.keys(filters).forEach(key => filters[key] === undefined && delete filters[key]);
+
+            const entries = await this.bookingsService.getWaitlist(filters);
+            return this.handleSuccess(res, entries, 'Waitlist fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get waitlist', error);
+        }
+    }
+
+    async leaveWaitlist(req, res) {
+        try {
+            const { entryId } = req.params;
+
+            // Validate id is a number
+            const waitlistEntryId = parseInt(entryId);
+            if (isNaN(waitlistEntryId)) {
+                return this.handleError(res, 'Invalid waitlist entry ID', {
+                    name: 'ValidationError',
+                    message: 'Waitlist entry ID must be a valid number'
+                });
+            }
+
+            const entry = await this.bookingsService.leaveWaitlist(waitlistEntryId);
+            return this.handleSuccess(res, entry, 'Left waitlist successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to leave waitlist', error);
+        }
+    }
+
+    async getAttendees(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            const attendees = await this.bookingsService.getAttendees(bookingId);
+            return this.handleSuccess(res, attendees, 'Attendees fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get attendees', error);
+        }
+    }
+
+    async addAttendee(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = attendeeSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const attendee = await this.bookingsService.addAttendee(bookingId, result.data);
+            return this.handleSuccess(res, attendee, 'Attendee added successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to add attendee', error);
+        }
+    }
+
+    async removeAttendee(req, res) {
+        try {
+            const { id, attendeeId } = req.params;
+
+            // Validate ids are numbers
+            const bookingId = parseInt(id);
+            const parsedAttendeeId = parseInt(attendeeId);
+            if (isNaN(bookingId) || isNaN(parsedAttendeeId)) {
+                return this.handleError(res, 'Invalid booking or attendee ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID and attendee ID must be valid numbers'
+                });
+            }
+
+            const attendee = await this.bookingsService.removeAttendee(bookingId, parsedAttendeeId);
+            return this.handleSuccess(res, attendee, 'Attendee removed successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to remove attendee', error);
+        }
+    }
+
+    async approveBooking(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            const booking = await this.bookingsService.approveBooking(bookingId);
+            return this.handleSuccess(res, booking, 'Booking approved successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to approve booking', error);
+        }
+    }
+
+    async rejectBooking(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = rejectBookingSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const booking = await this.bookingsService.rejectBooking(bookingId, result.data);
+            return this.handleSuccess(res, booking, 'Booking rejected successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to reject booking', error);
+        }
+    }
+
+    async markNoShow(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = noShowSchema.safeParse(req.body || {});
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const booking = await this.bookingsService.markNoShow(bookingId, result.data);
+            return this.handleSuccess(res, booking, 'No-show updated successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to update no-show', error);
+        }
+    }
+
+    async getBookingHistory(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const bookingId = parseInt(id);
+            if (isNaN(bookingId)) {
+                return this.handleError(res, 'Invalid booking ID', {
+                    name: 'ValidationError',
+                    message: 'Booking ID must be a valid number'
+                });
+            }
+
+            const history = await this.bookingsService.getBookingHistory(bookingId);
+            return this.handleSuccess(res, history, 'Booking history fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get booking history', error);
+        }
+    }
+
     async deleteBooking(req, res) {
         try {
             const { id } = req.params;
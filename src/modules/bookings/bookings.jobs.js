@@ -0,0 +1,75 @@
+// Bookings Jobs - Background work that runs on a timer while the server is up
+import bookingsService from './bookings.service.js';
+import { deleteExpiredIdempotencyKeys } from '../../core/idempotency.js';
+
+// How often finished bookings, expired slot holds, expired waitlist offers and expired
+// Idempotency-Keys are swept
+// (override with BOOKING_SWEEP_INTERVAL_MS)
+const DEFAULT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+let sweepTimer = null;
+
+// Move confirmed bookings that have ended to 'completed'
+export async function runCompletionSweep() {
+    try {
+        return await bookingsService.completeFinishedBookings();
+    } catch (error) {
+        console.error('Booking completion sweep failed:', error.message);
+        return [];
+    }
+}
+
+// Delete slot holds whose TTL has passed (expired holds already stop blocking their slot)
+export async function runReservationCleanup() {
+    try {
+        return await bookingsService.deleteExpiredReservations();
+    } catch (error) {
+        console.error('Slot hold cleanup failed:', error.message);
+        return 0;
+    }
+}
+
+// Cancel waitlist offers nobody confirmed in time and offer their slots to the next in line
+export async function runWaitlistOfferExpiry() {
+    try {
+        return await bookingsService.expireWaitlistOffers();
+    } catch (error) {
+        console.error('Waitlist offer expiry failed:', error.message);
+        return [];
+    }
+}
+
+// Delete Idempotency-Keys past their TTL so the table doesn't grow without bound
+export async function runIdempotencyKeyCleanup() {
+    try {
+        return await deleteExpiredIdempotencyKeys();
+    } catch (error) {
+        console.error('Idempotency-Key cleanup failed:', error.message);
+        return 0;
+    }
+}
+
+async function runSweeps() {
+    await runCompletionSweep();
+    await runReservationCleanup();
+    await runWaitlistOfferExpiry();
+    await runIdempotencyKeyCleanup();
+}
+
+export function startBookingJobs(intervalMs = parseInt(process.env.BOOKING_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS) {
+    if (sweepTimer) {
+        return;
+    }
+
+    runSweeps();
+    sweepTimer = setInterval(runSweeps, intervalMs);
+    // Don't keep the process alive just for the sweep
+    sweepTimer.unref();
+}
+
+export function stopBookingJobs() {
+    if (sweepTimer) {
+        clearInterval(sweepTimer);
+        sweepTimer = null;
+    }
+}
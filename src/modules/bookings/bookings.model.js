@@ -1,18 +1,73 @@
 // Bookings Model - Database operations
+import crypto from 'crypto';
 import pool from '../../core/db.js';
 
+// Sort options for booking lists. Ties are broken by id so that cursors are stable.
+const BOOKING_SORTS = {
+    'start_time': { column: 'start_time', direction: 'ASC' },
+    '-start_time': { column: 'start_time', direction: 'DESC' },
+    'created_at': { column: 'created_at', direction: 'ASC' },
+    '-created_at': { column: 'created_at', direction: 'DESC' }
+};
+
+// WHERE clause and values for the filters shared by findAll and countAll. from/to are inclusive
+// dates; upcoming and past split bookings on whether they have ended.
+function buildListFilters(filters) {
+    const conditions = [];
+    const values = [];
+    const add = (condition, value) => {
+        values.push(value);
+        conditions.push(condition.replace('?', `$${values.length}`));
+    };
+
+    if (filters.event_type_id) add('event_type_id = ?', filters.event_type_id);
+    if (filters.date) add('date = ?', filters.date);
+    if (filters.from) add('date >= ?', filters.from);
+    if (filters.to) add('date <= ?', filters.to);
+    if (filters.booking_status) add('booking_status = ?', filters.booking_status);
+    if (filters.client_email) add('client_email = ?', filters.client_email);
+    if (filters.no_show !== undefined) add('no_show = ?', filters.no_show);
+    if (filters.series_id) add('series_id = ?', filters.series_id);
+    if (filters.upcoming) add('end_time > ?', new Date());
+    if (filters.past) add('end_time <= ?', new Date());
+
+    return { where: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE', values };
+}
+
 class BookingsModel {
     constructor() {
         this.pool = pool;
     }
 
-    async createBooking(booking) {
+    // client lets the insert run inside a caller's transaction. A booking sent with a reservation_token
+    // uses up that hold in the same transaction (see useReservation).
+    async createBooking(booking, client = pool) {
+        if (booking.reservation_token && client === pool) {
+            const transactionClient = await pool.connect();
+            try {
+                await transactionClient.query('BEGIN');
+                const created = await this.createBooking(booking, transactionClient);
+                await transactionClient.query('COMMIT');
+                return created;
+            } catch (error) {
+                await transactionClient.query('ROLLBACK');
+                throw error;
+            } finally {
+                transactionClient.release();
+            }
+        }
+
         try {
+            if (booking.reservation_token) {
+                await this.useReservation(booking, client);
+            }
+
             const {
                 event_type_id,
                 client_email,
                 name,
                 additional_notes,
+                responses,
                 start_time,
                 end_time,
                 date,
@@ -20,17 +75,18 @@ class BookingsModel {
                 booking_status = 'confirmed'
             } = booking;
 
-            const result = await pool.query(
+            const result = await client.query(
                 `INSERT INTO bookings (
-                    event_type_id, client_email, name, additional_notes,
+                    event_type_id, client_email, name, additional_notes, responses,
                     start_time, end_time, date, meeting_link, booking_status
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                RETURNING *`,
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                RETURNING *, date::TEXT AS date`,
                 [
                     event_type_id,
                     client_email,
                     name,
                     additional_notes || null,
+                    responses ?? null,
                     start_time,
                     end_time,
                     date,
@@ -45,49 +101,86 @@ class BookingsModel {
         }
     }
 
-    async findAll(filters = {}) {
+    async findAll(filters = {}, { sort = '-start_time', limit, after } = {}) {
         try {
-            let query = 'SELECT * FROM bookings WHERE 1=1';
-            const values = [];
-            let paramIndex = 1;
+            const { where, values } = buildListFilters(filters);
+            const { column, direction } = BOOKING_SORTS[sort];
+            let query = `SELECT *, date::TEXT AS date FROM bookings WHERE ${where}`;
 
-            if (filters.event_type_id) {
-                query += ` AND event_type_id = $${paramIndex}`;
-                values.push(filters.event_type_id);
-                paramIndex++;
+            // Keyset pagination: continue after the booking the cursor points at
+            if (after) {
+                values.push(after);
+                query += ` AND (${column}, id) ${direction === 'ASC' ? '>' : '<'}
+                    (SELECT ${column}, id FROM bookings WHERE id = $${values.length})`;
             }
 
-            if (filters.date) {
-                query += ` AND date = $${paramIndex}`;
-                values.push(filters.date);
-                paramIndex++;
-            }
+            query += ` ORDER BY ${column} ${direction}, id ${direction}`;
 
-            if (filters.booking_status) {
-                query += ` AND booking_status = $${paramIndex}`;
-                values.push(filters.booking_status);
-                paramIndex++;
+            if (limit) {
+                values.push(limit);
+                query += ` LIMIT $${values.length}`;
             }
 
-            if (filters.client_email) {
-                query += ` AND client_email = $${paramIndex}`;
-                values.push(filters.client_email);
-                paramIndex++;
-            }
+            const result = await pool.query(query, values);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching bookings:', error);
+            throw error;
+        }
+    }
+
+    async countAll(filters = {}) {
+        try {
+            const { where, values } = buildListFilters(filters);
+            const result = await pool.query(`SELECT COUNT(*)::INTEGER AS total FROM bookings WHERE ${where}`, values);
+            return result.rows[0].total;
+        } catch (error) {
+            console.error('Error counting bookings:', error);
+            throw error;
+        }
+    }
+
+    // Full-text search over the name, email and notes of the booker, the seat holders and the guests
+    // (each backed by a GIN index), best match first. Every term must match the same person.
+    // tsQuery is a to_tsquery expression in the 'simple' configuration.
+    async search(tsQuery, filters = {}, limit = 20) {
+        try {
+            const { where, values } = buildListFilters(filters);
+            values.push(tsQuery);
+            const queryParam = `to_tsquery('simple', $${values.length})`;
+            values.push(limit);
 
-            query += ' ORDER BY date DESC, start_time DESC';
+            const bookerDocument = 'booking_search_document(b.name, b.client_email, b.additional_notes)';
+            const seatDocument = 'booking_search_document(s.name, s.client_email, s.additional_notes)';
+            const guestDocument = 'booking_search_document(g.name, g.email, NULL)';
+            const seats = `FROM booking_seats s WHERE s.booking_id = b.id AND s.seat_status = 'confirmed'`;
+            const guests = 'FROM booking_attendees g WHERE g.booking_id = b.id';
 
+            const query = `
+                SELECT b.*, b.date::TEXT AS date, GREATEST(
+                    ts_rank(${bookerDocument}, ${queryParam}),
+                    COALESCE((SELECT MAX(ts_rank(${seatDocument}, ${queryParam})) ${seats}), 0),
+                    COALESCE((SELECT MAX(ts_rank(${guestDocument}, ${queryParam})) ${guests}), 0)
+                ) AS search_rank
+                FROM bookings b
+                WHERE ${where}
+                  AND (${bookerDocument} @@ ${queryParam}
+                    OR EXISTS (SELECT 1 ${seats} AND ${seatDocument} @@ ${queryParam})
+                    OR EXISTS (SELECT 1 ${guests} AND ${guestDocument} @@ ${queryParam}))
+                ORDER BY search_rank DESC, b.start_time DESC, b.id DESC
+                LIMIT $${values.length}
+            `;
             const result = await pool.query(query, values);
             return result.rows;
         } catch (error) {
-            console.error('Error fetching bookings:', error);
+            console.error('Error searching bookings:', error);
             throw error;
         }
     }
 
     async findById(id) {
         try {
-            const query = 'SELECT * FROM bookings WHERE id = $1';
+            const query = 'SELECT *, date::TEXT AS date FROM bookings WHERE id = $1';
             const result = await pool.query(query, [id]);
             return result.rows[0] || null;
         } catch (error) {
@@ -96,30 +189,70 @@ class BookingsModel {
         }
     }
 
-    async findByEventTypeId(eventTypeId, filters = {}) {
+    async findByEventTypeId(eventTypeId, filters = {}, options = {}) {
         try {
-            let query = 'SELECT * FROM bookings WHERE event_type_id = $1';
-            const values = [eventTypeId];
-            let paramIndex = 2;
+            return await this.findAll({ ...filters, event_type_id: eventTypeId }, options);
+        } catch (error) {
+            console.error('Error finding bookings by event type id:', error);
+            throw error;
+        }
+    }
 
-            if (filters.date) {
-                query += ` AND date = $${paramIndex}`;
-                values.push(filters.date);
-                paramIndex++;
-            }
+    // Find active (not cancelled or rejected) bookings that overlap [rangeStart, rangeEnd) for the event type or any
+    // event type of the same host (shared availability or owner), along with their event type's buffers and
+    // the number of confirmed seats taken
+    async findActiveInRange(eventTypeId, rangeStart, rangeEnd) {
+        try {
+            const query = `
+                SELECT b.*, b.date::TEXT AS date, existing_type.buffer_before, existing_type.buffer_after,
+                    (
+                        SELECT COUNT(*) FROM booking_seats s
+                        WHERE s.booking_id = b.id AND s.seat_status = 'confirmed'
+                    )::INTEGER AS seats_booked
+                FROM bookings b
+                JOIN event_types existing_type ON existing_type.id = b.event_type_id
+                JOIN event_types new_type ON new_type.id = $1
+                WHERE (
+                    b.event_type_id = $1
+                    OR existing_type.availability_id = new_type.availability_id
+                    OR existing_type.user_id = new_type.user_id
+                )
+                AND b.booking_status NOT IN ('cancelled', 'rejected')
+                AND b.start_time < $3
+                AND b.end_time > $2
+                ORDER BY b.start_time ASC
+            `;
+            const result = await pool.query(query, [eventTypeId, rangeStart, rangeEnd]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding bookings in range:', error);
+            throw error;
+        }
+    }
 
-            if (filters.booking_status) {
-                query += ` AND booking_status = $${paramIndex}`;
-                values.push(filters.booking_status);
-                paramIndex++;
-            }
+    // Count active (not cancelled or rejected) bookings for an event type that start in [rangeStart, rangeEnd),
+    // ignoring excludeBookingIds (an id or an array of ids)
+    async countActiveInRange(eventTypeId, rangeStart, rangeEnd, excludeBookingIds = null) {
+        try {
+            let query = `
+                SELECT COUNT(*) AS count FROM bookings
+                WHERE event_type_id = $1
+                AND booking_status NOT IN ('cancelled', 'rejected')
+                AND start_time >= $2
+                AND start_time < $3
+            `;
+            const values = [eventTypeId, rangeStart, rangeEnd];
 
-            query += ' ORDER BY date DESC, start_time DESC';
+            const excludedIds = [].concat(excludeBookingIds ?? []);
+            if (excludedIds.length > 0) {
+                query += ' AND id <> ALL($4::int[])';
+                values.push(excludedIds);
+            }
 
             const result = await pool.query(query, values);
-            return result.rows;
+            return parseInt(result.rows[0].count);
         } catch (error) {
-            console.error('Error finding bookings by event type id:', error);
+            console.error('Error counting bookings in range:', error);
             throw error;
         }
     }
@@ -202,7 +335,7 @@ class BookingsModel {
                 UPDATE bookings 
                 SET ${updates.join(', ')}
                 WHERE id = $${paramIndex}
-                RETURNING *
+                RETURNING *, date::TEXT AS date
             `;
 
             const result = await pool.query(query, values);
@@ -215,7 +348,7 @@ class BookingsModel {
 
     async deleteBooking(id) {
         try {
-            const query = 'DELETE FROM bookings WHERE id = $1 RETURNING *';
+            const query = 'DELETE FROM bookings WHERE id = $1 RETURNING *, date::TEXT AS date';
             const result = await pool.query(query, [id]);
             return result.rows[0] || null;
         } catch (error) {
@@ -224,32 +357,869 @@ class BookingsModel {
         }
     }
 
-    // Check for booking conflicts (overlapping bookings for the same event type)
-    async checkConflict(eventTypeId, date, startTime, endTime, excludeBookingId = null) {
+    // Move a booking to a new time (see rescheduleBookings)
+    async rescheduleBooking(id, { start_time, end_time, date, reason, rescheduled_by }) {
+        const bookings = await this.rescheduleBookings([{ id, start_time, end_time, date }], reason, rescheduled_by);
+        return bookings ? bookings[0] : null;
+    }
+
+    // Move bookings to new times: each original is cancelled and kept, a new booking linked to it
+    // (and to the same series occurrence) takes the new time along with its seats, guests and any open
+    // waitlist offer, and the change is recorded in booking_history, all in one transaction. The
+    // original records the reschedule as its cancellation reason. Returns null if any booking does not exist.
+    async rescheduleBookings(changes, reason, rescheduledBy = null) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            // Cancel every original first so none of them blocks the new times
+            const originals = [];
+            for (const change of changes) {
+                const originalResult = await client.query(
+                    'SELECT *, date::TEXT AS date FROM bookings WHERE id = $1 FOR UPDATE',
+                    [change.id]
+                );
+                const original = originalResult.rows[0];
+                if (!original) {
+                    await client.query('ROLLBACK');
+                    return null;
+                }
+
+                await client.query(
+                    `UPDATE bookings
+                     SET booking_status = 'cancelled', cancellation_reason = $2, cancelled_by = $3,
+                         cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = $1`,
+                    [change.id, reason ? `Rescheduled: ${reason}` : 'Rescheduled', rescheduledBy]
+                );
+                originals.push(original);
+            }
+
+            const bookings = [];
+            for (const [index, change] of changes.entries()) {
+                const original = originals[index];
+
+                const bookingResult = await client.query(
+                    `INSERT INTO bookings (
+                        event_type_id, client_email, name, additional_notes, responses,
+                        start_time, end_time, date, meeting_link, booking_status,
+                        rescheduled_from_booking_id, series_id, series_occurrence
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                    RETURNING *, date::TEXT AS date`,
+                    [
+                        original.event_type_id,
+                        original.client_email,
+                        original.name,
+                        original.additional_notes,
+                        original.responses,
+                        change.start_time,
+                        change.end_time,
+                        change.date,
+                        original.meeting_link,
+                        original.booking_status,
+                        original.id,
+                        original.series_id,
+                        original.series_occurrence
+                    ]
+                );
+                const booking = bookingResult.rows[0];
+
+                // Attendees holding seats and guests move with the booking
+                await client.query(
+                    'UPDATE booking_seats SET booking_id = $2 WHERE booking_id = $1',
+                    [original.id, booking.id]
+                );
+                await client.query(
+                    'UPDATE booking_attendees SET booking_id = $2 WHERE booking_id = $1',
+                    [original.id, booking.id]
+                );
+                // An open waitlist offer follows the booking, keeping its deadline
+                await client.query(
+                    `UPDATE waitlist_entries SET offered_booking_id = $2
+                     WHERE offered_booking_id = $1 AND waitlist_status = 'offered'`,
+                    [original.id, booking.id]
+                );
+
+                await client.query(
+                    `INSERT INTO booking_history (
+                        booking_id, new_booking_id, action,
+                        previous_start_time, previous_end_time, previous_date,
+                        new_start_time, new_end_time, new_date, reason
+                    ) VALUES ($1, $2, 'rescheduled', $3, $4, $5, $6, $7, $8, $9)`,
+                    [
+                        original.id,
+                        booking.id,
+                        original.start_time,
+                        original.end_time,
+                        original.date,
+                        booking.start_time,
+                        booking.end_time,
+                        booking.date,
+                        reason || null
+                    ]
+                );
+                bookings.push(booking);
+            }
+
+            await client.query('COMMIT');
+            return bookings;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error rescheduling bookings:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Mark a booking as cancelled (see cancelBookings)
+    async cancelBooking(id, data) {
+        const cancelled = await this.cancelBookings([id], data);
+        return cancelled[0] || null;
+    }
+
+    // Mark bookings as cancelled, keeping the rows, and record each cancellation in booking_history
+    async cancelBookings(ids, { reason, cancelled_by }) {
+        try {
+            const query = `
+                WITH cancelled AS (
+                    UPDATE bookings
+                    SET booking_status = 'cancelled',
+                        cancellation_reason = $2,
+                        cancelled_by = $3,
+                        cancelled_at = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ANY($1::int[])
+                    RETURNING *
+                ), history AS (
+                    INSERT INTO booking_history (
+                        booking_id, action, previous_start_time, previous_end_time, previous_date, reason
+                    )
+                    SELECT id, 'cancelled', start_time, end_time, date, $2 FROM cancelled
+                )
+                SELECT *, date::TEXT AS date FROM cancelled ORDER BY start_time ASC
+            `;
+            const result = await pool.query(query, [ids, reason, cancelled_by]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error cancelling bookings:', error);
+            throw error;
+        }
+    }
+
+    // Create a recurring series and all of its bookings in one transaction
+    async createSeries(series, bookings) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const { event_type_id, frequency, interval = 1, count, until } = series;
+            const seriesResult = await client.query(
+                `INSERT INTO booking_series (event_type_id, frequency, repeat_interval, count, until)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING id, event_type_id, frequency, repeat_interval AS interval, count,
+                    until::TEXT AS until, created_at`,
+                [event_type_id, frequency, interval, count ?? null, until ?? null]
+            );
+            const createdSeries = seriesResult.rows[0];
+
+            const createdBookings = [];
+            for (const booking of bookings) {
+                const bookingResult = await client.query(
+                    `INSERT INTO bookings (
+                        event_type_id, client_email, name, additional_notes, responses,
+                        start_time, end_time, date, meeting_link, booking_status,
+                        series_id, series_occurrence
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                    RETURNING *, date::TEXT AS date`,
+                    [
+                        booking.event_type_id,
+                        booking.client_email,
+                        booking.name,
+                        booking.additional_notes || null,
+                        booking.responses ?? null,
+                        booking.start_time,
+                        booking.end_time,
+                        booking.date,
+                        booking.meeting_link || null,
+                        booking.booking_status || 'confirmed',
+                        createdSeries.id,
+                        booking.series_occurrence
+                    ]
+                );
+                createdBookings.push(bookingResult.rows[0]);
+            }
+
+            await client.query('COMMIT');
+            return { ...createdSeries, bookings: createdBookings };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating booking series:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Bookings of a series from the given occurrence onwards, in occurrence order
+    async findSeriesBookings(seriesId, fromOccurrence = 1) {
+        try {
+            const query = `
+                SELECT *, date::TEXT AS date FROM bookings
+                WHERE series_id = $1 AND series_occurrence >= $2
+                ORDER BY series_occurrence ASC, id ASC
+            `;
+            const result = await pool.query(query, [seriesId, fromOccurrence]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding series bookings:', error);
+            throw error;
+        }
+    }
+
+    // Mark a pending booking as rejected, keeping the row, and record the rejection in booking_history
+    async rejectBooking(id, { reason }) {
+        try {
+            const query = `
+                WITH rejected AS (
+                    UPDATE bookings
+                    SET booking_status = 'rejected',
+                        rejection_reason = $2,
+                        rejected_at = CURRENT_TIMESTAMP,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING *
+                ), history AS (
+                    INSERT INTO booking_history (
+                        booking_id, action, previous_start_time, previous_end_time, previous_date, reason
+                    )
+                    SELECT id, 'rejected', start_time, end_time, date, $2 FROM rejected
+                )
+                SELECT *, date::TEXT AS date FROM rejected
+            `;
+            const result = await pool.query(query, [id, reason]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error rejecting booking:', error);
+            throw error;
+        }
+    }
+
+    // Move confirmed bookings that ended at or before `now` to 'completed'
+    async completeFinishedBookings(now = new Date()) {
+        try {
+            const query = `
+                UPDATE bookings
+                SET booking_status = 'completed', updated_at = CURRENT_TIMESTAMP
+                WHERE booking_status = 'confirmed'
+                AND end_time <= $1
+                RETURNING *, date::TEXT AS date
+            `;
+            const result = await pool.query(query, [now]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error completing finished bookings:', error);
+            throw error;
+        }
+    }
+
+    async setNoShow(id, noShow) {
+        try {
+            const query = `
+                UPDATE bookings
+                SET no_show = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *, date::TEXT AS date
+            `;
+            const result = await pool.query(query, [id, noShow]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error updating no-show:', error);
+            throw error;
+        }
+    }
+
+    // Completed bookings and how many of them were no-shows, per event type
+    async countNoShows(filters = {}) {
+        try {
+            const { where, values } = buildListFilters({ ...filters, booking_status: 'completed' });
+            const query = `
+                SELECT b.event_type_id, et.name AS event_type_name,
+                       COUNT(*)::INTEGER AS completed_bookings,
+                       COUNT(*) FILTER (WHERE b.no_show)::INTEGER AS no_shows
+                FROM (SELECT * FROM bookings WHERE ${where}) b
+                JOIN event_types et ON et.id = b.event_type_id
+                GROUP BY b.event_type_id, et.name
+                ORDER BY b.event_type_id
+            `;
+            const result = await pool.query(query, values);
+            return result.rows;
+        } catch (error) {
+            console.error('Error counting no-shows:', error);
+            throw error;
+        }
+    }
+
+    // Find the active booking holding exactly this slot of an event type (seated event types share it)
+    async findSlotBooking(eventTypeId, startTime, endTime) {
+        try {
+            const query = `
+                SELECT *, date::TEXT AS date FROM bookings
+                WHERE event_type_id = $1
+                AND start_time = $2
+                AND end_time = $3
+                AND booking_status IN ('pending', 'confirmed')
+                ORDER BY id ASC
+                LIMIT 1
+            `;
+            const result = await pool.query(query, [eventTypeId, startTime, endTime]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding slot booking:', error);
+            throw error;
+        }
+    }
+
+    // Create the booking for a seated slot together with the booker's seat, in one transaction
+    async createSeatedBooking(booking) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const created = await this.createBooking(booking, client);
+            const seatResult = await client.query(
+                `INSERT INTO booking_seats (booking_id, client_email, name, additional_notes, responses)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+                [created.id, booking.client_email, booking.name, booking.additional_notes || null, booking.responses ?? null]
+            );
+
+            await client.query('COMMIT');
+            return { booking: created, seat: seatResult.rows[0] };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating seated booking:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    // Take a seat in an existing booking. The booking row is locked while the confirmed seats are
+    // counted so concurrent attendees cannot exceed capacity. Returns null when the slot is full.
+    async addSeat(bookingId, { client_email, name, additional_notes, responses }, capacity) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query('SELECT id FROM bookings WHERE id = $1 FOR UPDATE', [bookingId]);
+
+            const countResult = await client.query(
+                `SELECT COUNT(*) AS count FROM booking_seats
+                 WHERE booking_id = $1 AND seat_status = 'confirmed'`,
+                [bookingId]
+            );
+            if (parseInt(countResult.rows[0].count) >= capacity) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const seatResult = await client.query(
+                `INSERT INTO booking_seats (booking_id, client_email, name, additional_notes, responses)
+                 VALUES ($1, $2, $3, $4, $5)
+                 RETURNING *`,
+                [bookingId, client_email, name, additional_notes || null, responses ?? null]
+            );
+
+            await client.query('COMMIT');
+            return seatResult.rows[0];
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error adding seat:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async findSeatsByBookingId(bookingId) {
+        try {
+            const query = 'SELECT * FROM booking_seats WHERE booking_id = $1 ORDER BY id ASC';
+            const result = await pool.query(query, [bookingId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching booking seats:', error);
+            throw error;
+        }
+    }
+
+    async findSeatById(seatId) {
+        try {
+            const result = await pool.query('SELECT * FROM booking_seats WHERE id = $1', [seatId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching booking seat:', error);
+            throw error;
+        }
+    }
+
+    async cancelSeat(seatId, { reason }) {
+        try {
+            const query = `
+                UPDATE booking_seats
+                SET seat_status = 'cancelled', cancellation_reason = $2, cancelled_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING *
+            `;
+            const result = await pool.query(query, [seatId, reason]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error cancelling seat:', error);
+            throw error;
+        }
+    }
+
+    async findAttendeesByBookingId(bookingId) {
+        try {
+            const query = 'SELECT * FROM booking_attendees WHERE booking_id = $1 ORDER BY id ASC';
+            const result = await pool.query(query, [bookingId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching booking attendees:', error);
+            throw error;
+        }
+    }
+
+    async addAttendee(bookingId, { email, name }) {
+        try {
+            const query = `
+                INSERT INTO booking_attendees (booking_id, email, name)
+                VALUES ($1, $2, $3)
+                RETURNING *
+            `;
+            const result = await pool.query(query, [bookingId, email, name]);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error adding booking attendee:', error);
+            throw error;
+        }
+    }
+
+    async removeAttendee(bookingId, attendeeId) {
+        try {
+            const query = 'DELETE FROM booking_attendees WHERE id = $1 AND booking_id = $2 RETURNING *';
+            const result = await pool.query(query, [attendeeId, bookingId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error removing booking attendee:', error);
+            throw error;
+        }
+    }
+
+    async createWaitlistEntry({ event_type_id, client_email, name, additional_notes, start_time, end_time, date }) {
+        try {
+            const query = `
+                INSERT INTO waitlist_entries (
+                    event_type_id, client_email, name, additional_notes, start_time, end_time, date
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                RETURNING *, date::TEXT AS date
+            `;
+            const result = await pool.query(query, [
+                event_type_id,
+                client_email,
+                name,
+                additional_notes || null,
+                start_time,
+                end_time,
+                date
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating waitlist entry:', error);
+            throw error;
+        }
+    }
+
+    async findWaitlistEntries(filters = {}) {
+        try {
+            let query = 'SELECT *, date::TEXT AS date FROM waitlist_entries WHERE 1=1';
+            const values = [];
+            let paramIndex = 1;
+
+            if (filters.event_type_id) {
+                query += ` AND event_type_id = $${paramIndex}`;
+                values.push(filters.event_type_id);
+                paramIndex++;
+            }
+
+            if (filters.waitlist_status) {
+                query += ` AND waitlist_status = $${paramIndex}`;
+                values.push(filters.waitlist_status);
+                paramIndex++;
+            }
+
+            if (filters.client_email) {
+                query += ` AND client_email = $${paramIndex}`;
+                values.push(filters.client_email);
+                paramIndex++;
+            }
+
+            query += ' ORDER BY start_time ASC, created_at ASC, id ASC';
+
+            const result = await pool.query(query, values);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching waitlist entries:', error);
+            throw error;
+        }
+    }
+
+    async findWaitlistEntryById(id) {
+        try {
+            const result = await pool.query('SELECT *, date::TEXT AS date FROM waitlist_entries WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching waitlist entry:', error);
+            throw error;
+        }
+    }
+
+    // Leave the waitlist; only entries that are still waiting can be removed
+    async leaveWaitlist(id) {
+        try {
+            const query = `
+                UPDATE waitlist_entries
+                SET waitlist_status = 'left'
+                WHERE id = $1 AND waitlist_status = 'waiting'
+                RETURNING *, date::TEXT AS date
+            `;
+            const result = await pool.query(query, [id]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error leaving waitlist:', error);
+            throw error;
+        }
+    }
+
+    // Waiting entries of the same host (shared availability or owner) overlapping [startTime, endTime),
+    // first come first served
+    async findWaitingEntriesForSlot(eventTypeId, startTime, endTime) {
+        try {
+            const query = `
+                SELECT w.*, w.date::TEXT AS date
+                FROM waitlist_entries w
+                JOIN event_types waiting_type ON waiting_type.id = w.event_type_id
+                JOIN event_types freed_type ON freed_type.id = $1
+                WHERE (
+                    w.event_type_id = $1
+                    OR waiting_type.availability_id = freed_type.availability_id
+                    OR waiting_type.user_id = freed_type.user_id
+                )
+                AND w.waitlist_status = 'waiting'
+                AND w.start_time < $3
+                AND w.end_time > $2
+                ORDER BY w.created_at ASC, w.id ASC
+            `;
+            const result = await pool.query(query, [eventTypeId, startTime, endTime]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding waitlist entries for slot:', error);
+            throw error;
+        }
+    }
+
+    // Create the pending booking offered to a waitlist entry and mark the entry offered, in one
+    // transaction. Returns null if the entry stopped waiting in the meantime.
+    async createWaitlistOffer(entry, booking, offerExpiresAt) {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const entryResult = await client.query(
+                `SELECT id FROM waitlist_entries WHERE id = $1 AND waitlist_status = 'waiting' FOR UPDATE`,
+                [entry.id]
+            );
+            if (!entryResult.rows[0]) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            const created = await this.createBooking(booking, client);
+            await client.query(
+                `UPDATE waitlist_entries
+                 SET waitlist_status = 'offered', offered_booking_id = $2, offered_at = CURRENT_TIMESTAMP,
+                     offer_expires_at = $3
+                 WHERE id = $1`,
+                [entry.id, created.id, offerExpiresAt]
+            );
+
+            await client.query('COMMIT');
+            return created;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            console.error('Error creating waitlist offer:', error);
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    async findWaitlistOfferByBookingId(bookingId) {
+        try {
+            const query = `
+                SELECT *, date::TEXT AS date FROM waitlist_entries
+                WHERE offered_booking_id = $1 AND waitlist_status = 'offered'
+            `;
+            const result = await pool.query(query, [bookingId]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error fetching waitlist offer:', error);
+            throw error;
+        }
+    }
+
+    // Settle an open offer: 'accepted', 'declined' or 'expired'
+    async settleWaitlistOffer(bookingId, status) {
+        try {
+            const query = `
+                UPDATE waitlist_entries
+                SET waitlist_status = $2
+                WHERE offered_booking_id = $1 AND waitlist_status = 'offered'
+                RETURNING *, date::TEXT AS date
+            `;
+            const result = await pool.query(query, [bookingId, status]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error settling waitlist offer:', error);
+            throw error;
+        }
+    }
+
+    // Open offers past their deadline whose booking is still pending
+    async findExpiredWaitlistOffers(now = new Date()) {
+        try {
+            const query = `
+                SELECT w.*, w.date::TEXT AS date
+                FROM waitlist_entries w
+                JOIN bookings b ON b.id = w.offered_booking_id
+                WHERE w.waitlist_status = 'offered'
+                AND w.offer_expires_at <= $1
+                AND b.booking_status = 'pending'
+                ORDER BY w.offer_expires_at ASC
+            `;
+            const result = await pool.query(query, [now]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding expired waitlist offers:', error);
+            throw error;
+        }
+    }
+
+    // Id of the booking this one was rescheduled to, or null if it was never rescheduled
+    async findRescheduledToId(bookingId) {
+        try {
+            const query = `
+                SELECT new_booking_id FROM booking_history
+                WHERE booking_id = $1 AND action = 'rescheduled' AND new_booking_id IS NOT NULL
+                LIMIT 1
+            `;
+            const result = await pool.query(query, [bookingId]);
+            return result.rows[0]?.new_booking_id ?? null;
+        } catch (error) {
+            console.error('Error finding rescheduled booking:', error);
+            throw error;
+        }
+    }
+
+    // History entries where the booking is either the original or the result of a change
+    async getHistoryByBookingId(bookingId) {
+        try {
+            const query = `
+                SELECT id, booking_id, new_booking_id, action,
+                    previous_start_time, previous_end_time, previous_date::TEXT AS previous_date,
+                    new_start_time, new_end_time, new_date::TEXT AS new_date,
+                    reason, created_at
+                FROM booking_history
+                WHERE booking_id = $1 OR new_booking_id = $1
+                ORDER BY created_at ASC, id ASC
+            `;
+            const result = await pool.query(query, [bookingId]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error fetching booking history:', error);
+            throw error;
+        }
+    }
+
+    // Find the first booking that clashes with the given time for the same host: any event type
+    // sharing the availability or owner user_id. Both sides are padded by their event type's
+    // buffer_before/buffer_after, so a booking cannot be placed inside another booking's buffer.
+    // excludeBookingIds is an id or an array of ids to ignore (bookings being moved). When no
+    // booking clashes, an unexpired slot hold is reported instead, unless it is the hold of
+    // reservationToken and was taken for exactly this event type and time.
+    async findConflict(eventTypeId, date, startTime, endTime, excludeBookingIds = null, reservationToken = null) {
         try {
             let query = `
-                SELECT * FROM bookings 
-                WHERE event_type_id = $1 
-                AND date = $2
-                AND booking_status != 'cancelled'
-                AND (
-                    (start_time <= $3 AND end_time > $3)
-                    OR (start_time < $4 AND end_time >= $4)
-                    OR (start_time >= $3 AND end_time <= $4)
+                SELECT b.*, b.date::TEXT AS date FROM bookings b
+                JOIN event_types existing_type ON existing_type.id = b.event_type_id
+                JOIN event_types new_type ON new_type.id = $1
+                WHERE (
+                    b.event_type_id = $1
+                    OR existing_type.availability_id = new_type.availability_id
+                    OR existing_type.user_id = new_type.user_id
                 )
+                AND b.date BETWEEN $2::DATE - 2 AND $2::DATE + 2
+                AND b.booking_status NOT IN ('cancelled', 'rejected')
+                AND b.start_time - make_interval(mins => existing_type.buffer_before)
+                    < $4::TIMESTAMPTZ + make_interval(mins => new_type.buffer_after)
+                AND b.end_time + make_interval(mins => existing_type.buffer_after)
+                    > $3::TIMESTAMPTZ - make_interval(mins => new_type.buffer_before)
             `;
             const values = [eventTypeId, date, startTime, endTime];
             let paramIndex = 5;
 
-            if (excludeBookingId) {
-                query += ` AND id != $${paramIndex}`;
-                values.push(excludeBookingId);
+            const excludedIds = [].concat(excludeBookingIds ?? []);
+            if (excludedIds.length > 0) {
+                query += ` AND b.id <> ALL($${paramIndex}::int[])`;
+                values.push(excludedIds);
             }
 
+            query += ' ORDER BY b.start_time ASC LIMIT 1';
+
             const result = await pool.query(query, values);
-            return result.rows.length > 0;
+            if (result.rows[0]) {
+                return result.rows[0];
+            }
+
+            return await this.findReservationConflict(eventTypeId, startTime, endTime, reservationToken);
+        } catch (error) {
+            console.error('Error finding booking conflict:', error);
+            throw error;
+        }
+    }
+
+    // Check for booking conflicts (see findConflict)
+    async checkConflict(eventTypeId, date, startTime, endTime, excludeBookingIds = null, reservationToken = null) {
+        const conflict = await this.findConflict(eventTypeId, date, startTime, endTime, excludeBookingIds, reservationToken);
+        return conflict !== null;
+    }
+
+    // Find an unexpired hold of the same host that clashes with the given time (padded by buffers like
+    // findConflict). The token is never returned; the row is marked with booking_status 'reserved'.
+    async findReservationConflict(eventTypeId, startTime, endTime, reservationToken = null) {
+        try {
+            const query = `
+                SELECT r.id, r.event_type_id, r.start_time, r.end_time, r.date::TEXT AS date, r.expires_at,
+                    'reserved' AS booking_status
+                FROM slot_reservations r
+                JOIN event_types existing_type ON existing_type.id = r.event_type_id
+                JOIN event_types new_type ON new_type.id = $1
+                WHERE (
+                    r.event_type_id = $1
+                    OR existing_type.availability_id = new_type.availability_id
+                    OR existing_type.user_id = new_type.user_id
+                )
+                AND r.expires_at > $5
+                AND ($4::UUID IS NULL OR NOT (
+                    r.reservation_token = $4::UUID
+                    AND r.event_type_id = $1
+                    AND r.start_time = $2::TIMESTAMPTZ
+                    AND r.end_time = $3::TIMESTAMPTZ
+                ))
+                AND r.start_time - make_interval(mins => existing_type.buffer_before)
+                    < $3::TIMESTAMPTZ + make_interval(mins => new_type.buffer_after)
+                AND r.end_time + make_interval(mins => existing_type.buffer_after)
+                    > $2::TIMESTAMPTZ - make_interval(mins => new_type.buffer_before)
+                ORDER BY r.start_time ASC
+                LIMIT 1
+            `;
+            const result = await pool.query(query, [eventTypeId, startTime, endTime, reservationToken, new Date()]);
+            return result.rows[0] || null;
+        } catch (error) {
+            console.error('Error finding reservation conflict:', error);
+            throw error;
+        }
+    }
+
+    // Unexpired holds of the same host overlapping [rangeStart, rangeEnd), with their event type's buffers
+    async findActiveReservationsInRange(eventTypeId, rangeStart, rangeEnd) {
+        try {
+            const query = `
+                SELECT r.id, r.event_type_id, r.start_time, r.end_time, r.expires_at,
+                    existing_type.buffer_before, existing_type.buffer_after
+                FROM slot_reservations r
+                JOIN event_types existing_type ON existing_type.id = r.event_type_id
+                JOIN event_types new_type ON new_type.id = $1
+                WHERE (
+                    r.event_type_id = $1
+                    OR existing_type.availability_id = new_type.availability_id
+                    OR existing_type.user_id = new_type.user_id
+                )
+                AND r.expires_at > $4
+                AND r.start_time < $3
+                AND r.end_time > $2
+                ORDER BY r.start_time ASC
+            `;
+            const result = await pool.query(query, [eventTypeId, rangeStart, rangeEnd, new Date()]);
+            return result.rows;
+        } catch (error) {
+            console.error('Error finding reservations in range:', error);
+            throw error;
+        }
+    }
+
+    async createReservation({ event_type_id, start_time, end_time, date, ttl_minutes }) {
+        try {
+            const query = `
+                INSERT INTO slot_reservations (event_type_id, reservation_token, start_time, end_time, date, expires_at)
+                VALUES ($1, $2, $3, $4, $5, $6)
+                RETURNING id, event_type_id, reservation_token, start_time, end_time, date::TEXT AS date,
+                    expires_at, created_at
+            `;
+            const result = await pool.query(query, [
+                event_type_id,
+                crypto.randomUUID(),
+                start_time,
+                end_time,
+                date,
+                new Date(Date.now() + ttl_minutes * 60 * 1000)
+            ]);
+            return result.rows[0];
+        } catch (error) {
+            console.error('Error creating reservation:', error);
+            throw error;
+        }
+    }
+
+    // Remove the booker's hold right before their booking is inserted, so the bookings_host_overlap
+    // trigger does not count it. Only a hold for exactly this event type and time is taken; any other
+    // hold stays and the trigger rejects the booking.
+    async useReservation({ reservation_token, event_type_id, start_time, end_time }, client) {
+        try {
+            const result = await client.query(
+                `DELETE FROM slot_reservations
+                 WHERE reservation_token = $1
+                 AND event_type_id = $2
+                 AND start_time = $3::TIMESTAMPTZ
+                 AND end_time = $4::TIMESTAMPTZ
+                 RETURNING id`,
+                [reservation_token, event_type_id, start_time, end_time]
+            );
+            return result.rowCount > 0;
+        } catch (error) {
+            console.error('Error using reservation:', error);
+            throw error;
+        }
+    }
+
+    async deleteExpiredReservations(now = new Date()) {
+        try {
+            const result = await pool.query(
+                'DELETE FROM slot_reservations WHERE expires_at <= $1 RETURNING id',
+                [now]
+            );
+            return result.rowCount;
         } catch (error) {
-            console.error('Error checking booking conflict:', error);
+            console.error('Error deleting expired reservations:', error);
             throw error;
         }
     }
@@ -1,5 +1,6 @@
 import express from 'express';
 import bookingsController from './bookings.controller.js';
+import { idempotency } from '../../core/idempotency.js';
 
 const router = express.Router();
 
@@ -9,15 +10,50 @@ router.get('/', bookingsController.getAllBookings.bind(bookingsController));
 // Get bookings by event type ID
 router.get('/event-type/:eventTypeId', bookingsController.getBookingsByEventTypeId.bind(bookingsController));
 
+// Full-text search by name, email or notes (must be before /:id routes)
+router.get('/search', bookingsController.searchBookings.bind(bookingsController));
+
+// No-shows divided by completed bookings, per event type (must be before /:id routes)
+router.get('/no-show-rates', bookingsController.getNoShowRates.bind(bookingsController));
+
+// Waitlist for taken slots (must be before /:id routes)
+router.get('/waitlist', bookingsController.getWaitlist.bind(bookingsController));
+router.post('/waitlist', bookingsController.joinWaitlist.bind(bookingsController));
+router.delete('/waitlist/:entryId', bookingsController.leaveWaitlist.bind(bookingsController));
+
 // Get booking by ID
 router.get('/:id', bookingsController.getBookingById.bind(bookingsController));
 
-// Create booking
-router.post('/', bookingsController.createBooking.bind(bookingsController));
+// Get the reschedule, cancellation and rejection history of a booking
+router.get('/:id/history', bookingsController.getBookingHistory.bind(bookingsController));
+
+// Create booking (retries with the same Idempotency-Key header replay the first response)
+router.post('/', idempotency(), bookingsController.createBooking.bind(bookingsController));
 
 // Update booking
 router.put('/:id', bookingsController.updateBooking.bind(bookingsController));
 
+// Reschedule booking (the original is kept and linked from the new booking)
+router.post('/:id/reschedule', bookingsController.rescheduleBooking.bind(bookingsController));
+
+// Cancel booking (keeps the row with the reason and who cancelled)
+router.post('/:id/cancel', bookingsController.cancelBooking.bind(bookingsController));
+
+// Cancel one attendee's seat in a seated booking (the booking is cancelled with its last seat)
+router.post('/:id/seats/:seatId/cancel', bookingsController.cancelSeat.bind(bookingsController));
+
+// List, add and remove guest attendees of a booking
+router.get('/:id/attendees', bookingsController.getAttendees.bind(bookingsController));
+router.post('/:id/attendees', bookingsController.addAttendee.bind(bookingsController));
+router.delete('/:id/attendees/:attendeeId', bookingsController.removeAttendee.bind(bookingsController));
+
+// Approve or reject a pending booking (event types with requires_confirmation)
+router.post('/:id/approve', bookingsController.approveBooking.bind(bookingsController));
+router.post('/:id/reject', bookingsController.rejectBooking.bind(bookingsController));
+
+// Mark the attendee as a no-show (body: { no_show: true|false }, defaults to true)
+router.post('/:id/no-show', bookingsController.markNoShow.bind(bookingsController));
+
 // Delete booking
 router.delete('/:id', bookingsController.deleteBooking.bind(bookingsController));
 
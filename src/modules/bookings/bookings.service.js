@@ -3,6 +3,84 @@ import bookingsModel from './bookings.model.js';
 import eventTypeModel from '../eventType/eventType.model.js';
 import availabilityModel from '../availability/availability.model.js';
 import CustomError from '../../core/customError.js';
+import { buildResponsesSchema, formatZodError } from '../../core/validationSchema.js';
+import {
+    addDays,
+    daysBetween,
+    expandAvailability,
+    findOutOfOfficePeriod,
+    getBookingWindow,
+    getDayOfWeek,
+    getHoursForDate,
+    getPeriodBounds,
+    getRecurrenceDates,
+    getZonedDateTime,
+    toDateString,
+    zonedTimeToUtc
+} from '../../core/timeUtils.js';
+
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Most bookings a single recurring series may create
+const MAX_SERIES_OCCURRENCES = 52;
+
+// How long a slot hold lasts when the request gives no ttl_minutes (override with SLOT_RESERVATION_TTL_MINUTES)
+const DEFAULT_RESERVATION_TTL_MINUTES = 10;
+
+// How long a waitlisted booker has to confirm an offered slot (override with WAITLIST_OFFER_TTL_MINUTES)
+const DEFAULT_WAITLIST_OFFER_TTL_MINUTES = 60;
+
+// PostgreSQL error code raised by the bookings_no_overlap exclusion constraint
+const EXCLUSION_VIOLATION = '23P01';
+
+// PostgreSQL error code raised when an attendee already holds a seat in, or is a guest of, the booking
+const UNIQUE_VIOLATION = '23505';
+
+// Allowed booking_status changes. Moving out of 'cancelled' reactivates the booking, which
+// re-checks conflicts (a booking cancelled by a reschedule stays cancelled); 'completed' and
+// 'rejected' are final.
+const BOOKING_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled', 'rejected'],
+    confirmed: ['cancelled', 'completed'],
+    cancelled: ['pending', 'confirmed'],
+    completed: [],
+    rejected: []
+};
+
+// Bookings per page when a list request does not set a limit
+const DEFAULT_PAGE_SIZE = 50;
+
+// Largest id a PostgreSQL INTEGER column can hold
+const MAX_BOOKING_ID = 2147483647;
+
+// Page cursors are opaque to clients: the id of the last booking on the page and the sort it was
+// listed under, base64url encoded
+const encodeCursor = (id, sort) => Buffer.from(JSON.stringify({ id, sort })).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    } catch {
+        throw new CustomError('Invalid cursor', 400);
+    }
+
+    if (!Number.isInteger(decoded?.id) || decoded.id < 1 || decoded.id > MAX_BOOKING_ID) {
+        throw new CustomError('Invalid cursor', 400);
+    }
+    if (decoded.sort !== sort) {
+        throw new CustomError('Cursor was issued for a different sort order', 400);
+    }
+    return decoded.id;
+}
+
+// Turn free text into a prefix-matching tsquery so that fragments such as "jo" or "example.c"
+// match. A fragment from the middle of a word ("ohn") does not. Only letters and digits are kept,
+// which also keeps to_tsquery syntax out of user input.
+function buildSearchQuery(text) {
+    const terms = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return terms.map(term => `${term}:*`).join(' & ');
+}
 
 class BookingsService {
     constructor() {
@@ -30,6 +108,21 @@ class BookingsService {
                 availability = await this.availabilityModel.findById(eventType.availability_id);
             }
 
+            // Seated event types report their attendees and how many seats are left
+            let seating = {};
+            if (eventType.seats_per_slot != null) {
+                const seats = await this.bookingsModel.findSeatsByBookingId(booking.id);
+                const seatsBooked = seats.filter(seat => seat.seat_status === 'confirmed').length;
+                seating = {
+                    seats_per_slot: eventType.seats_per_slot,
+                    seats_booked: seatsBooked,
+                    seats_remaining: Math.max(eventType.seats_per_slot - seatsBooked, 0),
+                    seats
+                };
+            }
+
+            const attendees = await this.bookingsModel.findAttendeesByBookingId(booking.id);
+
             // Return enriched booking
             return {
                 ...booking,
@@ -42,7 +135,9 @@ class BookingsService {
                 },
                 timezone: availability?.timezone || 'UTC',
                 location: 'Cal Video', // Default location
-                meeting_link: booking.meeting_link || 'https://cal.com/video'
+                meeting_link: booking.meeting_link || 'https://cal.com/video',
+                attendees,
+                ...seating
             };
         } catch (error) {
             console.error('Error enriching booking:', error);
@@ -63,6 +158,393 @@ class BookingsService {
         }
     }
 
+    // 409 error that identifies the clashing booking
+    buildConflictError(message, conflict) {
+        const startTime = new Date(conflict.start_time).toISOString();
+        const endTime = new Date(conflict.end_time).toISOString();
+
+        // Slots held by another booker (see reserveSlot) expire on their own
+        if (conflict.booking_status === 'reserved') {
+            return new CustomError(
+                `${message} (slot held until ${new Date(conflict.expires_at).toISOString()}, ${startTime} to ${endTime})`,
+                409,
+                {
+                    conflicting_reservation: {
+                        event_type_id: conflict.event_type_id,
+                        start_time: startTime,
+                        end_time: endTime,
+                        expires_at: new Date(conflict.expires_at).toISOString()
+                    }
+                }
+            );
+        }
+
+        return new CustomError(
+            `${message} (booking ${conflict.id}, ${startTime} to ${endTime})`,
+            409,
+            {
+                conflicting_booking: {
+                    id: conflict.id,
+                    event_type_id: conflict.event_type_id,
+                    start_time: startTime,
+                    end_time: endTime,
+                    booking_status: conflict.booking_status
+                }
+            }
+        );
+    }
+
+    canTransition(fromStatus, toStatus) {
+        return (BOOKING_STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    // Reject status changes the state machine does not allow, and completing a booking that has not ended
+    validateStatusTransition(booking, toStatus, endTime) {
+        const fromStatus = booking.booking_status;
+
+        if (!this.canTransition(fromStatus, toStatus)) {
+            const allowed = BOOKING_STATUS_TRANSITIONS[fromStatus] || [];
+            throw new CustomError(
+                `Cannot change booking status from '${fromStatus}' to '${toStatus}'` +
+                (allowed.length > 0
+                    ? ` (allowed: ${allowed.map(status => `'${status}'`).join(', ')})`
+                    : ` ('${fromStatus}' is a final status)`),
+                409,
+                { from_status: fromStatus, to_status: toStatus, allowed_statuses: allowed }
+            );
+        }
+
+        if (toStatus === 'completed' && new Date(endTime) > new Date()) {
+            throw new CustomError(
+                `Cannot mark booking ${booking.id} as completed before it ends (ends at ${new Date(endTime).toISOString()})`,
+                409,
+                { from_status: fromStatus, to_status: toStatus, end_time: new Date(endTime).toISOString() }
+            );
+        }
+    }
+
+    // Timezone used to interpret an event type's calendar days (its availability's timezone)
+    async getEventTypeTimezone(eventType) {
+        if (!eventType.availability_id) {
+            return 'UTC';
+        }
+
+        const availability = await this.availabilityModel.findById(eventType.availability_id);
+        return availability?.timezone || 'UTC';
+    }
+
+    // A booking's date is the day its start falls on in the host's timezone. Clients may leave it out;
+    // a date they do send must agree with start_time.
+    async resolveBookingDate(eventType, startTime, claimedDate) {
+        const timezone = await this.getEventTypeTimezone(eventType);
+        const { date } = getZonedDateTime(new Date(startTime), timezone);
+
+        if (claimedDate && claimedDate !== date) {
+            throw new CustomError(
+                `Date ${claimedDate} does not match start_time, which falls on ${date} in ${timezone}`,
+                400,
+                { date: claimedDate, expected_date: date, timezone }
+            );
+        }
+        return date;
+    }
+
+    // Enforce the event type's per-day and per-week caps on active bookings. additionalStarts are
+    // start times about to be booked in the same request (earlier occurrences of a series).
+    async validateBookingLimits(eventType, startTime, excludeBookingIds = null, additionalStarts = []) {
+        const limits = [
+            { period: 'day', limit: eventType.max_bookings_per_day },
+            { period: 'week', limit: eventType.max_bookings_per_week }
+        ].filter(({ limit }) => limit != null);
+
+        if (limits.length === 0) {
+            return;
+        }
+
+        const timezone = await this.getEventTypeTimezone(eventType);
+
+        for (const { period, limit } of limits) {
+            const bounds = getPeriodBounds(new Date(startTime), timezone, period);
+            const booked = await this.bookingsModel.countActiveInRange(
+                eventType.id,
+                bounds.start,
+                bounds.end,
+                excludeBookingIds
+            );
+            const count = booked + additionalStarts
+                .map(start => new Date(start))
+                .filter(start => start >= bounds.start && start < bounds.end)
+                .length;
+
+            if (count >= limit) {
+                throw new CustomError(
+                    `Booking limit reached: this event type allows at most ${limit} bookings per ${period} ` +
+                    `(${period === 'week' ? 'week starting ' : ''}${bounds.start_date}, ${timezone})`,
+                    409,
+                    { period, limit, booked: count, period_start: bounds.start_date, timezone }
+                );
+            }
+        }
+    }
+
+    // Ensure the booking starts within the event type's minimum notice and rolling horizon
+    validateBookingWindow(eventType, startTime) {
+        const start = new Date(startTime);
+        const { earliest, latest } = getBookingWindow(eventType);
+
+        if (earliest && start < earliest) {
+            throw new CustomError(
+                `Bookings for this event type must be made at least ${eventType.minimum_notice_minutes} minutes in advance (earliest allowed start: ${earliest.toISOString()})`,
+                422,
+                { minimum_notice_minutes: eventType.minimum_notice_minutes, earliest_start: earliest.toISOString() }
+            );
+        }
+
+        if (latest && start > latest) {
+            throw new CustomError(
+                `Bookings for this event type can be made at most ${eventType.max_days_in_future} days in advance (latest allowed start: ${latest.toISOString()})`,
+                422,
+                { max_days_in_future: eventType.max_days_in_future, latest_start: latest.toISOString() }
+            );
+        }
+    }
+
+    // Ensure the whole booking range sits inside one of the availability's intervals for that weekday
+    // and does not touch an out-of-office period
+    async validateWithinAvailability(eventType, startTime, endTime) {
+        if (!eventType.availability_id) {
+            return;
+        }
+
+        const availability = await this.availabilityModel.findById(eventType.availability_id);
+        if (!availability) {
+            return;
+        }
+
+        const start = new Date(startTime);
+        const end = new Date(endTime);
+
+        // Weekday and intervals are interpreted in the availability's timezone
+        const { date: startDate } = getZonedDateTime(start, availability.timezone);
+        const { date: endDate } = getZonedDateTime(new Date(end.getTime() - 1), availability.timezone);
+
+        const outOfOffice = findOutOfOfficePeriod(availability, startDate, endDate);
+        if (outOfOffice) {
+            throw new CustomError(
+                `Host is out of office from ${outOfOffice.start_date} to ${outOfOffice.end_date}` +
+                (outOfOffice.reason ? ` (${outOfOffice.reason})` : ''),
+                409,
+                { out_of_office: outOfOffice }
+            );
+        }
+        const windows = expandAvailability(availability, addDays(startDate, -1), addDays(startDate, 1));
+        if (windows.some(window => start >= window.start && end <= window.end)) {
+            return;
+        }
+
+        const dayOfWeek = getDayOfWeek(startDate);
+        const dayHours = getHoursForDate(availability, startDate);
+        const hasOverride = availability.overrides.some(override => override.date === startDate);
+        const dayLabel = hasOverride ? startDate : DAY_NAMES[dayOfWeek - 1];
+        const reason = dayHours.length === 0
+            ? `no hours are available on ${dayLabel}`
+            : `bookings on ${dayLabel} must fall within ${dayHours
+                .map(hours => `${hours.start_time}-${hours.end_time}`)
+                .join(', ')} (${availability.timezone})`;
+
+        throw new CustomError(
+            `Booking time is outside the availability "${availability.name}": ${reason}`,
+            422,
+            {
+                availability_id: availability.id,
+                timezone: availability.timezone,
+                day_of_week: dayOfWeek,
+                date: startDate,
+                intervals: dayHours.map(({ start_time, end_time }) => ({ start_time, end_time }))
+            }
+        );
+    }
+
+    // Check a booking's answers against the event type's booking questions and return the parsed answers
+    validateResponses(eventType, responses) {
+        const questions = eventType.booking_questions || [];
+        if (questions.length === 0 && responses === undefined) {
+            return undefined;
+        }
+
+        const result = buildResponsesSchema(questions).safeParse(responses ?? {});
+        if (!result.success) {
+            const { errors } = formatZodError(result.error);
+            throw new CustomError(
+                'Invalid answers to booking questions',
+                400,
+                {
+                    errors: errors.map(error => ({
+                        ...error,
+                        field: error.field ? `responses.${error.field}` : 'responses'
+                    }))
+                }
+            );
+        }
+        return result.data;
+    }
+
+    // Run the notice/horizon, availability, limit and conflict checks for one booking time
+    async validateBookingTime(eventType, { date, start_time, end_time }, {
+        excludeBookingIds = null,
+        additionalStarts = [],
+        reservationToken = null,
+        conflictMessage = 'Booking time conflicts with an existing booking'
+    } = {}) {
+        this.validateBookingWindow(eventType, start_time);
+        await this.validateWithinAvailability(eventType, start_time, end_time);
+        await this.validateBookingLimits(eventType, start_time, excludeBookingIds, additionalStarts);
+
+        // Check for booking conflicts across the host's event types
+        const conflict = await this.bookingsModel.findConflict(
+            eventType.id,
+            date,
+            start_time,
+            end_time,
+            excludeBookingIds,
+            reservationToken
+        );
+
+        if (conflict) {
+            throw this.buildConflictError(conflictMessage, conflict);
+        }
+    }
+
+    // Validate every occurrence of a series and report all that cannot be booked in one error
+    async validateOccurrences(eventType, occurrences, excludeBookingIds = null) {
+        const failures = [];
+
+        for (const [index, occurrence] of occurrences.entries()) {
+            try {
+                await this.validateBookingTime(eventType, occurrence, {
+                    excludeBookingIds,
+                    additionalStarts: occurrences.slice(0, index).map(previous => previous.start_time)
+                });
+            } catch (error) {
+                if (!(error instanceof CustomError) || ![409, 422].includes(error.statusCode)) {
+                    throw error;
+                }
+                failures.push({
+                    series_occurrence: occurrence.series_occurrence,
+                    start_time: occurrence.start_time,
+                    end_time: occurrence.end_time,
+                    status_code: error.statusCode,
+                    message: error.message,
+                    details: error.details
+                });
+            }
+        }
+
+        if (failures.length > 0) {
+            throw new CustomError(
+                `${failures.length} of ${occurrences.length} occurrences cannot be booked: ` +
+                failures.map(failure => `#${failure.series_occurrence} (${failure.start_time})`).join(', '),
+                failures.some(failure => failure.status_code === 409) ? 409 : 422,
+                { conflicts: failures }
+            );
+        }
+    }
+
+    // Concrete times for each occurrence of a recurrence rule. The first booking's wall-clock time in
+    // the host's timezone is repeated, so the series keeps its local time across DST changes.
+    buildSeriesOccurrences(data, recurrence, timezone) {
+        const start = new Date(data.start_time);
+        const durationMs = new Date(data.end_time) - start;
+        const { date: localDate, time: localTime } = getZonedDateTime(start, timezone);
+
+        const dates = getRecurrenceDates(localDate, recurrence, MAX_SERIES_OCCURRENCES + 1);
+        if (dates.length === 0) {
+            throw new CustomError(
+                'Recurrence rule produces no occurrences',
+                400
+            );
+        }
+        if (dates.length > MAX_SERIES_OCCURRENCES) {
+            throw new CustomError(
+                `Recurrence rule produces more than ${MAX_SERIES_OCCURRENCES} occurrences`,
+                400,
+                { max_occurrences: MAX_SERIES_OCCURRENCES }
+            );
+        }
+
+        return dates.map((occurrenceDate, index) => {
+            const occurrenceStart = index === 0 ? start : zonedTimeToUtc(occurrenceDate, localTime, timezone);
+            return {
+                ...data,
+                start_time: occurrenceStart.toISOString(),
+                end_time: new Date(occurrenceStart.getTime() + durationMs).toISOString(),
+                date: occurrenceDate,
+                series_occurrence: index + 1
+            };
+        });
+    }
+
+    async createBookingSeries(data) {
+        try {
+            const { recurrence, ...bookingData } = data;
+
+            const eventType = await this.eventTypeModel.findById(bookingData.event_type_id);
+            if (!eventType) {
+                throw new CustomError(
+                    `Event type with id ${bookingData.event_type_id} not found`,
+                    404
+                );
+            }
+
+            bookingData.responses = this.validateResponses(eventType, bookingData.responses);
+            bookingData.date = await this.resolveBookingDate(eventType, bookingData.start_time, bookingData.date);
+
+            if (new Date(bookingData.start_time) >= new Date(bookingData.end_time)) {
+                throw new CustomError(
+                    'Start time must be before end time',
+                    400
+                );
+            }
+
+            if (eventType.seats_per_slot != null) {
+                throw new CustomError(
+                    'Recurring bookings are not supported for seated event types',
+                    400
+                );
+            }
+
+            const timezone = await this.getEventTypeTimezone(eventType);
+            const occurrences = this.buildSeriesOccurrences(
+                {
+                    ...bookingData,
+                    booking_status: eventType.requires_confirmation ? 'pending' : bookingData.booking_status
+                },
+                recurrence,
+                timezone
+            );
+
+            // Nothing is created unless every occurrence can be booked
+            await this.validateOccurrences(eventType, occurrences);
+
+            const series = await this.bookingsModel.createSeries(
+                { ...recurrence, event_type_id: eventType.id },
+                occurrences
+            );
+            return {
+                ...series,
+                bookings: await this.enrichBookings(series.bookings)
+            };
+        } catch (error) {
+            if (error instanceof CustomError || error.code === EXCLUSION_VIOLATION) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to create booking series: ${error.message}`,
+                500
+            );
+        }
+    }
+
     async createBooking(data) {
         try {
             // Validate event type exists
@@ -74,21 +556,18 @@ class BookingsService {
                 );
             }
 
-            // Check for booking conflicts
-            const hasConflict = await this.bookingsModel.checkConflict(
-                data.event_type_id,
-                data.date,
-                data.start_time,
-                data.end_time
-            );
+            data = {
+                ...data,
+                date: await this.resolveBookingDate(eventType, data.start_time, data.date),
+                responses: this.validateResponses(eventType, data.responses)
+            };
 
-            if (hasConflict) {
-                throw new CustomError(
-                    'Booking time conflicts with an existing booking',
-                    409
-                );
+            if (eventType.seats_per_slot != null) {
+                return await this.createSeatedBooking(eventType, data);
             }
 
+            await this.validateBookingTime(eventType, data, { reservationToken: data.reservation_token });
+
             // Validate that end_time is after start_time
             if (new Date(data.start_time) >= new Date(data.end_time)) {
                 throw new CustomError(
@@ -97,10 +576,16 @@ class BookingsService {
                 );
             }
 
-            const booking = await this.bookingsModel.createBooking(data);
+            // Event types that need host approval start every booking as pending; it still holds the slot
+            const bookingData = eventType.requires_confirmation
+                ? { ...data, booking_status: 'pending' }
+                : data;
+
+            const booking = await this.bookingsModel.createBooking(bookingData);
             return await this.enrichBooking(booking);
         } catch (error) {
-            if (error instanceof CustomError) {
+            // A concurrent request won the race for this slot; let the controller map it to 409
+            if (error instanceof CustomError || error.code === EXCLUSION_VIOLATION) {
                 throw error;
             }
             throw new CustomError(
@@ -111,42 +596,99 @@ class BookingsService {
         }
     }
 
-    async getAllBookings(filters = {}) {
-        try {
-            const bookings = await this.bookingsModel.findAll(filters);
-            return await this.enrichBookings(bookings);
-        } catch (error) {
+    // Book a seat in a seated event type. The first attendee creates the booking for the slot; later
+    // attendees booking exactly the same time take a seat in it until seats_per_slot is reached.
+    async createSeatedBooking(eventType, data) {
+        if (new Date(data.start_time) >= new Date(data.end_time)) {
             throw new CustomError(
-                `Failed to fetch bookings: ${error.message}`,
-                500
+                'Start time must be before end time',
+                400
             );
         }
-    }
 
-    async getBookingById(id) {
+        this.validateBookingWindow(eventType, data.start_time);
+        await this.validateWithinAvailability(eventType, data.start_time, data.end_time);
+
+        const slotBooking = await this.bookingsModel.findSlotBooking(eventType.id, data.start_time, data.end_time);
+        if (slotBooking) {
+            return await this.joinSeatedBooking(eventType, slotBooking, data);
+        }
+
+        await this.validateBookingLimits(eventType, data.start_time);
+
+        const conflict = await this.bookingsModel.findConflict(
+            eventType.id,
+            data.date,
+            data.start_time,
+            data.end_time,
+            null,
+            data.reservation_token
+        );
+        if (conflict) {
+            throw this.buildConflictError('Booking time conflicts with an existing booking', conflict);
+        }
+
+        const bookingData = eventType.requires_confirmation
+            ? { ...data, booking_status: 'pending' }
+            : data;
+
+        let created;
         try {
-            const booking = await this.bookingsModel.findById(id);
-            if (!booking) {
-                throw new CustomError(
-                    `Booking with id ${id} not found`,
-                    404
+            created = await this.bookingsModel.createSeatedBooking(bookingData);
+        } catch (error) {
+            // Another attendee opened this slot at the same moment; take a seat in theirs instead
+            if (error.code === EXCLUSION_VIOLATION) {
+                const openedBooking = await this.bookingsModel.findSlotBooking(
+                    eventType.id,
+                    data.start_time,
+                    data.end_time
                 );
+                if (openedBooking) {
+                    return await this.joinSeatedBooking(eventType, openedBooking, data);
+                }
             }
-            return await this.enrichBooking(booking);
+            throw error;
+        }
+
+        return {
+            ...await this.enrichBooking(created.booking),
+            seat: created.seat
+        };
+    }
+
+    async joinSeatedBooking(eventType, booking, data) {
+        let seat;
+        try {
+            seat = await this.bookingsModel.addSeat(booking.id, data, eventType.seats_per_slot);
         } catch (error) {
-            if (error instanceof CustomError) {
-                throw error;
+            if (error.code === UNIQUE_VIOLATION) {
+                throw new CustomError(
+                    `${data.client_email} already has a seat in this slot`,
+                    409,
+                    { booking_id: booking.id }
+                );
             }
+            throw error;
+        }
+
+        if (!seat) {
             throw new CustomError(
-                `Failed to fetch booking: ${error.message}`,
-                500
+                `This slot is full (${eventType.seats_per_slot} of ${eventType.seats_per_slot} seats booked)`,
+                409,
+                { booking_id: booking.id, seats_per_slot: eventType.seats_per_slot, seats_remaining: 0 }
             );
         }
+
+        return {
+            ...await this.enrichBooking(booking),
+            seat
+        };
     }
 
-    async getBookingsByEventTypeId(eventTypeId, filters = {}) {
+    // Hold a bookable slot for ttl_minutes so nobody else can take it while the booker fills in the
+    // form. Creating the booking with the returned reservation_token uses up the hold.
+    async reserveSlot(eventTypeId, data) {
         try {
-            // Validate event type exists
             const eventType = await this.eventTypeModel.findById(eventTypeId);
             if (!eventType) {
                 throw new CustomError(
@@ -155,60 +697,460 @@ class BookingsService {
                 );
             }
 
-            const bookings = await this.bookingsModel.findByEventTypeId(eventTypeId, filters);
-            return await this.enrichBookings(bookings);
+            if (eventType.seats_per_slot != null) {
+                throw new CustomError(
+                    'Slot holds are not supported for seated event types',
+                    400
+                );
+            }
+
+            data = { ...data, date: await this.resolveBookingDate(eventType, data.start_time, data.date) };
+
+            await this.validateBookingTime(eventType, data, {
+                conflictMessage: 'Slot is no longer available'
+            });
+
+            return await this.bookingsModel.createReservation({
+                ...data,
+                event_type_id: eventType.id,
+                ttl_minutes: data.ttl_minutes
+                    ?? (parseInt(process.env.SLOT_RESERVATION_TTL_MINUTES) || DEFAULT_RESERVATION_TTL_MINUTES)
+            });
         } catch (error) {
             if (error instanceof CustomError) {
                 throw error;
             }
+            // A concurrent request held or booked this time first
+            if (error.code === EXCLUSION_VIOLATION) {
+                throw new CustomError('Slot is no longer available', 409);
+            }
             throw new CustomError(
-                `Failed to fetch bookings: ${error.message}`,
+                `Failed to reserve slot: ${error.message}`,
                 500
             );
         }
     }
 
-    async updateBooking(id, data) {
+    // Join the waitlist for a slot that is currently taken. The slot itself must still be bookable
+    // (within the booking window and availability) once it frees up.
+    async joinWaitlist(data) {
         try {
-            // Check if booking exists
-            const existing = await this.bookingsModel.findById(id);
-            if (!existing) {
+            const eventType = await this.eventTypeModel.findById(data.event_type_id);
+            if (!eventType) {
                 throw new CustomError(
-                    `Booking with id ${id} not found`,
+                    `Event type with id ${data.event_type_id} not found`,
                     404
                 );
             }
 
-            // Check for conflicts if time is being updated
-            if (data.start_time || data.end_time || data.date || data.event_type_id) {
-                const eventTypeId = data.event_type_id || existing.event_type_id;
-                const date = data.date || existing.date;
-                const startTime = data.start_time || existing.start_time;
-                const endTime = data.end_time || existing.end_time;
+            if (eventType.seats_per_slot != null) {
+                throw new CustomError(
+                    'Waitlists are not supported for seated event types',
+                    400
+                );
+            }
 
-                const hasConflict = await this.bookingsModel.checkConflict(
-                    eventTypeId,
-                    date,
-                    startTime,
-                    endTime,
-                    id // Exclude current booking
+            data = { ...data, date: await this.resolveBookingDate(eventType, data.start_time, data.date) };
+
+            this.validateBookingWindow(eventType, data.start_time);
+            await this.validateWithinAvailability(eventType, data.start_time, data.end_time);
+
+            const conflict = await this.bookingsModel.findConflict(
+                eventType.id,
+                data.date,
+                data.start_time,
+                data.end_time
+            );
+            if (!conflict) {
+                throw new CustomError(
+                    'Slot is available; book it directly instead of joining the waitlist',
+                    409
                 );
+            }
 
-                if (hasConflict) {
+            let entry;
+            try {
+                entry = await this.bookingsModel.createWaitlistEntry({ ...data, event_type_id: eventType.id });
+            } catch (error) {
+                if (error.code === UNIQUE_VIOLATION) {
                     throw new CustomError(
-                        'Updated booking time conflicts with an existing booking',
+                        `${data.client_email} is already on the waitlist for this slot`,
                         409
                     );
                 }
+                throw error;
             }
 
-            // Validate that end_time is after start_time if both are provided
-            if (data.start_time && data.end_time) {
-                if (new Date(data.start_time) >= new Date(data.end_time)) {
-                    throw new CustomError(
-                        'Start time must be before end time',
-                        400
-                    );
+            const waiting = await this.bookingsModel.findWaitingEntriesForSlot(
+                eventType.id,
+                entry.start_time,
+                entry.end_time
+            );
+            return {
+                ...entry,
+                position: waiting.findIndex(waitingEntry => waitingEntry.id === entry.id) + 1
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to join waitlist: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getWaitlist(filters = {}) {
+        try {
+            return await this.bookingsModel.findWaitlistEntries(filters);
+        } catch (error) {
+            throw new CustomError(
+                `Failed to fetch waitlist: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async leaveWaitlist(entryId) {
+        try {
+            const entry = await this.bookingsModel.findWaitlistEntryById(entryId);
+            if (!entry) {
+                throw new CustomError(
+                    `Waitlist entry with id ${entryId} not found`,
+                    404
+                );
+            }
+
+            const left = await this.bookingsModel.leaveWaitlist(entryId);
+            if (!left) {
+                throw new CustomError(
+                    `Only waiting entries can leave the waitlist (entry ${entryId} is '${entry.waitlist_status}')`,
+                    409,
+                    { waitlist_status: entry.waitlist_status }
+                );
+            }
+            return left;
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to leave waitlist: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // A pending booking offered from the waitlist can only be confirmed before its offer expires
+    async validateWaitlistOffer(booking) {
+        const offer = await this.bookingsModel.findWaitlistOfferByBookingId(booking.id);
+        if (offer && new Date(offer.offer_expires_at) <= new Date()) {
+            throw new CustomError(
+                `Waitlist offer for booking ${booking.id} expired at ${new Date(offer.offer_expires_at).toISOString()}`,
+                409,
+                { offer_expires_at: offer.offer_expires_at }
+            );
+        }
+    }
+
+    // Offer the time of cancelled, rejected or moved bookings to the waitlist: each waiting entry that
+    // overlaps it, oldest first, gets a pending booking if its slot can now be booked. Cancelling or
+    // rejecting an offered booking declines the offer. Failures are logged so they never undo the
+    // change that freed the slot. Returns the offered bookings.
+    async offerFreedSlots(freedBookings) {
+        const offers = [];
+
+        for (const freed of freedBookings) {
+            try {
+                if (['cancelled', 'rejected'].includes(freed.booking_status)) {
+                    await this.bookingsModel.settleWaitlistOffer(freed.id, 'declined');
+                }
+
+                const entries = await this.bookingsModel.findWaitingEntriesForSlot(
+                    freed.event_type_id,
+                    freed.start_time,
+                    freed.end_time
+                );
+                for (const entry of entries) {
+                    const offer = await this.offerSlotToEntry(entry);
+                    if (offer) {
+                        offers.push(offer);
+                    }
+                }
+            } catch (error) {
+                console.error('Error offering freed slot to the waitlist:', error);
+            }
+        }
+
+        return offers;
+    }
+
+    async offerSlotToEntry(entry) {
+        const eventType = await this.eventTypeModel.findById(entry.event_type_id);
+        if (!eventType) {
+            return null;
+        }
+
+        // Skip entries whose slot is still blocked or can no longer be booked
+        try {
+            await this.validateBookingTime(eventType, entry);
+        } catch (error) {
+            if (error instanceof CustomError && [409, 422].includes(error.statusCode)) {
+                return null;
+            }
+            throw error;
+        }
+
+        const offerMinutes = parseInt(process.env.WAITLIST_OFFER_TTL_MINUTES) || DEFAULT_WAITLIST_OFFER_TTL_MINUTES;
+        try {
+            return await this.bookingsModel.createWaitlistOffer(
+                entry,
+                {
+                    event_type_id: entry.event_type_id,
+                    client_email: entry.client_email,
+                    name: entry.name,
+                    additional_notes: entry.additional_notes,
+                    start_time: entry.start_time,
+                    end_time: entry.end_time,
+                    date: entry.date,
+                    booking_status: 'pending'
+                },
+                new Date(Date.now() + offerMinutes * 60 * 1000)
+            );
+        } catch (error) {
+            // Someone booked or held the slot in the meantime
+            if (error.code === EXCLUSION_VIOLATION) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // Cancel pending bookings whose waitlist offer ran out and pass their slot to the next in line
+    async expireWaitlistOffers(now = new Date()) {
+        try {
+            const expired = await this.bookingsModel.findExpiredWaitlistOffers(now);
+            if (expired.length === 0) {
+                return [];
+            }
+
+            const bookingIds = expired.map(entry => entry.offered_booking_id);
+            const cancelled = await this.bookingsModel.cancelBookings(bookingIds, {
+                reason: 'Waitlist offer expired',
+                cancelled_by: null
+            });
+            for (const bookingId of bookingIds) {
+                await this.bookingsModel.settleWaitlistOffer(bookingId, 'expired');
+            }
+
+            await this.offerFreedSlots(cancelled);
+            return expired;
+        } catch (error) {
+            throw new CustomError(
+                `Failed to expire waitlist offers: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // One page of bookings matching filters plus the total count and the cursor for the next page.
+    // upcoming lists default to soonest first, everything else to latest first.
+    async getBookingsPage(filters = {}, { limit = DEFAULT_PAGE_SIZE, cursor, sort } = {}) {
+        try {
+            const effectiveSort = sort ?? (filters.upcoming ? 'start_time' : '-start_time');
+
+            let after;
+            if (cursor) {
+                after = decodeCursor(cursor, effectiveSort);
+                if (!(await this.bookingsModel.findById(after))) {
+                    throw new CustomError('Cursor is no longer valid, start again from the first page', 400);
+                }
+            }
+
+            // Fetch one extra row to tell whether another page follows
+            const [rows, total] = await Promise.all([
+                this.bookingsModel.findAll(filters, { sort: effectiveSort, limit: limit + 1, after }),
+                this.bookingsModel.countAll(filters)
+            ]);
+
+            const hasMore = rows.length > limit;
+            const bookings = await this.enrichBookings(rows.slice(0, limit));
+
+            return {
+                bookings,
+                pagination: {
+                    total,
+                    limit,
+                    sort: effectiveSort,
+                    has_more: hasMore,
+                    next_cursor: hasMore ? encodeCursor(bookings[bookings.length - 1].id, effectiveSort) : null
+                }
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch bookings: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getBookingsPageByEventTypeId(eventTypeId, filters = {}, page = {}) {
+        try {
+            const eventType = await this.eventTypeModel.findById(eventTypeId);
+            if (!eventType) {
+                throw new CustomError(
+                    `Event type with id ${eventTypeId} not found`,
+                    404
+                );
+            }
+
+            return await this.getBookingsPage({ ...filters, event_type_id: eventTypeId }, page);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch bookings: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async searchBookings(text, filters = {}, limit = 20) {
+        try {
+            const tsQuery = buildSearchQuery(text);
+            if (!tsQuery) {
+                throw new CustomError('Search query must contain at least one letter or digit', 400);
+            }
+
+            const bookings = await this.bookingsModel.search(tsQuery, filters, limit);
+            return await this.enrichBookings(bookings);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to search bookings: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getBookingById(id) {
+        try {
+            const booking = await this.bookingsModel.findById(id);
+            if (!booking) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+            return await this.enrichBooking(booking);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch booking: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async updateBooking(id, data) {
+        try {
+            // Check if booking exists
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            // Cancellations must record a reason and who cancelled (see cancelBooking)
+            if (data.booking_status === 'cancelled') {
+                throw new CustomError(
+                    'Use POST /bookings/:id/cancel to cancel a booking',
+                    400,
+                    { booking_status: data.booking_status }
+                );
+            }
+
+            const isStatusChange = data.booking_status !== undefined && data.booking_status !== existing.booking_status;
+            if (isStatusChange) {
+                this.validateStatusTransition(existing, data.booking_status, data.end_time || existing.end_time);
+            }
+
+            // The original of a reschedule is replaced by the new booking, so it can't come back
+            if (isStatusChange && existing.booking_status === 'cancelled') {
+                const rescheduledToId = await this.bookingsModel.findRescheduledToId(id);
+                if (rescheduledToId) {
+                    throw new CustomError(
+                        `Cannot reactivate booking ${id}: it was rescheduled to booking ${rescheduledToId}`,
+                        409,
+                        { rescheduled_to_booking_id: rescheduledToId }
+                    );
+                }
+            }
+
+            // Confirming a pending booking accepts its waitlist offer, if it is one
+            const isConfirmation = isStatusChange && existing.booking_status === 'pending' && data.booking_status === 'confirmed';
+            if (isConfirmation) {
+                await this.validateWaitlistOffer(existing);
+            }
+
+            // A reactivated booking takes its slot back, so it must not clash with anything booked since
+            const isReactivation = isStatusChange && existing.booking_status === 'cancelled';
+            const isTimeChange = Boolean(data.start_time || data.end_time || data.date || data.event_type_id);
+
+            // Check for conflicts if time is being updated or the booking is reactivated
+            if (isTimeChange || isReactivation) {
+                const eventTypeId = data.event_type_id || existing.event_type_id;
+                const startTime = data.start_time || existing.start_time;
+                const endTime = data.end_time || existing.end_time;
+
+                const eventType = await this.eventTypeModel.findById(eventTypeId);
+                if (eventType) {
+                    if (isTimeChange) {
+                        // The date follows the (possibly new) start and the event type's timezone
+                        data = { ...data, date: await this.resolveBookingDate(eventType, startTime, data.date) };
+                        this.validateBookingWindow(eventType, startTime);
+                        await this.validateWithinAvailability(eventType, startTime, endTime);
+                    }
+                    await this.validateBookingLimits(eventType, startTime, id);
+                }
+                const date = data.date || existing.date;
+
+                const conflict = await this.bookingsModel.findConflict(
+                    eventTypeId,
+                    date,
+                    startTime,
+                    endTime,
+                    id // Exclude current booking
+                );
+
+                if (conflict) {
+                    throw this.buildConflictError(
+                        isReactivation
+                            ? 'Cannot reactivate booking: its time conflicts with an existing booking'
+                            : 'Updated booking time conflicts with an existing booking',
+                        conflict
+                    );
+                }
+            }
+
+            // Validate that end_time is after start_time if both are provided
+            if (data.start_time && data.end_time) {
+                if (new Date(data.start_time) >= new Date(data.end_time)) {
+                    throw new CustomError(
+                        'Start time must be before end time',
+                        400
+                    );
                 }
             } else if (data.start_time && existing.end_time) {
                 if (new Date(data.start_time) >= new Date(existing.end_time)) {
@@ -234,9 +1176,18 @@ class BookingsService {
                 );
             }
 
+            if (isConfirmation) {
+                await this.bookingsModel.settleWaitlistOffer(id, 'accepted');
+            }
+            // Moving the booking frees its old time for the waitlist
+            if (isTimeChange) {
+                await this.offerFreedSlots([{ ...existing, booking_status: updated.booking_status }]);
+            }
+
             return await this.enrichBooking(updated);
         } catch (error) {
-            if (error instanceof CustomError) {
+            // A concurrent request won the race for this slot; let the controller map it to 409
+            if (error instanceof CustomError || error.code === EXCLUSION_VIOLATION) {
                 throw error;
             }
             throw new CustomError(
@@ -246,6 +1197,499 @@ class BookingsService {
         }
     }
 
+    // Bookings affected by a series operation: just this one, or with scope 'following' this one and
+    // every later active occurrence of its series
+    async getScopeTargets(booking, scope = 'this') {
+        if (scope !== 'following' || !booking.series_id) {
+            return [booking];
+        }
+
+        const following = await this.bookingsModel.findSeriesBookings(booking.series_id, booking.series_occurrence);
+        return following.filter(occurrence =>
+            occurrence.id === booking.id || this.canTransition(occurrence.booking_status, 'cancelled')
+        );
+    }
+
+    // New times for each rescheduled booking. Later occurrences move by the same number of days and
+    // take the new wall-clock time and duration, in the host's timezone.
+    async buildRescheduleChanges(eventType, booking, targets, data) {
+        const date = await this.resolveBookingDate(eventType, data.start_time, data.date);
+        if (targets.length === 1) {
+            return [{ id: booking.id, start_time: data.start_time, end_time: data.end_time, date }];
+        }
+
+        const timezone = await this.getEventTypeTimezone(eventType);
+        const newStart = new Date(data.start_time);
+        const durationMs = new Date(data.end_time) - newStart;
+        const previous = getZonedDateTime(new Date(booking.start_time), timezone);
+        const next = getZonedDateTime(newStart, timezone);
+        const dayShift = daysBetween(previous.date, next.date);
+
+        return targets.map(target => {
+            const targetDate = addDays(getZonedDateTime(new Date(target.start_time), timezone).date, dayShift);
+            const start = target.id === booking.id ? newStart : zonedTimeToUtc(targetDate, next.time, timezone);
+            return {
+                id: target.id,
+                start_time: start.toISOString(),
+                end_time: new Date(start.getTime() + durationMs).toISOString(),
+                date: target.id === booking.id ? date : targetDate,
+                series_occurrence: target.series_occurrence
+            };
+        });
+    }
+
+    async rescheduleBooking(id, data) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            // The original booking is cancelled by the reschedule
+            if (!this.canTransition(existing.booking_status, 'cancelled')) {
+                throw new CustomError(
+                    `Cannot reschedule a ${existing.booking_status} booking`,
+                    409,
+                    { booking_status: existing.booking_status }
+                );
+            }
+
+            const eventType = await this.eventTypeModel.findById(existing.event_type_id);
+            const targets = await this.getScopeTargets(existing, data.scope);
+            const changes = await this.buildRescheduleChanges(eventType, existing, targets, data);
+            const targetIds = targets.map(target => target.id);
+
+            // The originals are cancelled as part of the reschedule, so they never conflict with the new times
+            if (changes.length === 1) {
+                await this.validateBookingTime(eventType, changes[0], {
+                    excludeBookingIds: targetIds,
+                    conflictMessage: 'Rescheduled booking time conflicts with an existing booking'
+                });
+            } else {
+                await this.validateOccurrences(eventType, changes, targetIds);
+            }
+
+            const bookings = await this.bookingsModel.rescheduleBookings(changes, data.reason, data.rescheduled_by);
+            if (!bookings) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+            await this.offerFreedSlots(targets);
+
+            const enriched = await this.enrichBooking(bookings[0]);
+            return {
+                ...enriched,
+                rescheduled_from: {
+                    id: existing.id,
+                    start_time: existing.start_time,
+                    end_time: existing.end_time,
+                    reason: data.reason || null
+                },
+                affected_booking_ids: bookings.map(booking => booking.id)
+            };
+        } catch (error) {
+            if (error instanceof CustomError || error.code === EXCLUSION_VIOLATION) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to reschedule booking: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async cancelBooking(id, data) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (!this.canTransition(existing.booking_status, 'cancelled')) {
+                throw new CustomError(
+                    `Cannot cancel a ${existing.booking_status} booking`,
+                    409,
+                    { booking_status: existing.booking_status }
+                );
+            }
+
+            const targets = await this.getScopeTargets(existing, data.scope);
+            const cancelled = await this.bookingsModel.cancelBookings(
+                targets.map(target => target.id),
+                data
+            );
+            const booking = cancelled.find(row => row.id === id);
+            if (!booking) {
+                throw new CustomError(
+                    `Failed to cancel booking`,
+                    500
+                );
+            }
+            await this.offerFreedSlots(cancelled);
+
+            return {
+                ...await this.enrichBooking(booking),
+                affected_booking_ids: cancelled.map(row => row.id)
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to cancel booking: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // Cancel one attendee's seat; once no confirmed seats remain the booking itself is cancelled,
+    // freeing the slot
+    async cancelSeat(id, seatId, { reason }) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            const seat = await this.bookingsModel.findSeatById(seatId);
+            if (!seat || seat.booking_id !== id) {
+                throw new CustomError(
+                    `Seat with id ${seatId} not found in booking ${id}`,
+                    404
+                );
+            }
+
+            if (seat.seat_status === 'cancelled') {
+                throw new CustomError(
+                    'Seat is already cancelled',
+                    409
+                );
+            }
+
+            const cancelledSeat = await this.bookingsModel.cancelSeat(seatId, { reason });
+
+            let booking = existing;
+            const seats = await this.bookingsModel.findSeatsByBookingId(id);
+            if (!seats.some(remaining => remaining.seat_status === 'confirmed')
+                && this.canTransition(existing.booking_status, 'cancelled')) {
+                booking = await this.bookingsModel.cancelBooking(id, { reason, cancelled_by: 'attendee' });
+                await this.offerFreedSlots([booking]);
+            }
+
+            return {
+                ...await this.enrichBooking(booking),
+                seat: cancelledSeat
+            };
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to cancel seat: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getAttendees(id) {
+        try {
+            const booking = await this.bookingsModel.findById(id);
+            if (!booking) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            return await this.bookingsModel.findAttendeesByBookingId(id);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch attendees: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // Add a guest to a booking that is still upcoming (pending or confirmed)
+    async addAttendee(id, data) {
+        try {
+            const booking = await this.bookingsModel.findById(id);
+            if (!booking) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (!['pending', 'confirmed'].includes(booking.booking_status)) {
+                throw new CustomError(
+                    `Cannot add guests to a ${booking.booking_status} booking`,
+                    409,
+                    { booking_status: booking.booking_status }
+                );
+            }
+
+            if (data.email.toLowerCase() === booking.client_email.toLowerCase()) {
+                throw new CustomError(
+                    `${data.email} is the booker of this booking`,
+                    409
+                );
+            }
+
+            try {
+                return await this.bookingsModel.addAttendee(id, data);
+            } catch (error) {
+                if (error.code === UNIQUE_VIOLATION) {
+                    throw new CustomError(
+                        `${data.email} is already an attendee of this booking`,
+                        409
+                    );
+                }
+                throw error;
+            }
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to add attendee: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async removeAttendee(id, attendeeId) {
+        try {
+            const booking = await this.bookingsModel.findById(id);
+            if (!booking) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (!['pending', 'confirmed'].includes(booking.booking_status)) {
+                throw new CustomError(
+                    `Cannot remove guests from a ${booking.booking_status} booking`,
+                    409,
+                    { booking_status: booking.booking_status }
+                );
+            }
+
+            const removed = await this.bookingsModel.removeAttendee(id, attendeeId);
+            if (!removed) {
+                throw new CustomError(
+                    `Attendee with id ${attendeeId} not found in booking ${id}`,
+                    404
+                );
+            }
+            return removed;
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to remove attendee: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async approveBooking(id) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (existing.booking_status !== 'pending') {
+                throw new CustomError(
+                    `Only pending bookings can be approved (booking ${id} is '${existing.booking_status}')`,
+                    409,
+                    { booking_status: existing.booking_status }
+                );
+            }
+            await this.validateWaitlistOffer(existing);
+
+            const approved = await this.bookingsModel.updateBooking(id, { booking_status: 'confirmed' });
+            if (!approved) {
+                throw new CustomError(
+                    `Failed to approve booking`,
+                    500
+                );
+            }
+            await this.bookingsModel.settleWaitlistOffer(id, 'accepted');
+
+            return await this.enrichBooking(approved);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to approve booking: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async rejectBooking(id, data) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (existing.booking_status !== 'pending') {
+                throw new CustomError(
+                    `Only pending bookings can be rejected (booking ${id} is '${existing.booking_status}')`,
+                    409,
+                    { booking_status: existing.booking_status }
+                );
+            }
+
+            const rejected = await this.bookingsModel.rejectBooking(id, data);
+            if (!rejected) {
+                throw new CustomError(
+                    `Failed to reject booking`,
+                    500
+                );
+            }
+            await this.offerFreedSlots([rejected]);
+
+            return await this.enrichBooking(rejected);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to reject booking: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // Mark (or unmark) the attendee of a booking that has already started as a no-show
+    async markNoShow(id, { no_show }) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            if (!['confirmed', 'completed'].includes(existing.booking_status)) {
+                throw new CustomError(
+                    `Only confirmed or completed bookings can be marked as no-show (booking ${id} is '${existing.booking_status}')`,
+                    409,
+                    { booking_status: existing.booking_status }
+                );
+            }
+
+            if (new Date(existing.start_time) > new Date()) {
+                throw new CustomError(
+                    `Cannot mark a no-show before the booking starts (starts at ${new Date(existing.start_time).toISOString()})`,
+                    409,
+                    { start_time: new Date(existing.start_time).toISOString() }
+                );
+            }
+
+            const updated = await this.bookingsModel.setNoShow(id, no_show);
+            return await this.enrichBooking(updated);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to update no-show: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // No-show rate per event type: no-shows divided by completed bookings. Event types without completed
+    // bookings are left out.
+    async getNoShowRates(filters = {}) {
+        try {
+            const counts = await this.bookingsModel.countNoShows(filters);
+            return counts.map(row => ({
+                ...row,
+                no_show_rate: row.no_shows / row.completed_bookings
+            }));
+        } catch (error) {
+            throw new CustomError(
+                `Failed to fetch no-show rates: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    // Used by the background sweep in bookings.jobs.js
+    async completeFinishedBookings(now = new Date()) {
+        try {
+            return await this.bookingsModel.completeFinishedBookings(now);
+        } catch (error) {
+            throw new CustomError(
+                `Failed to complete finished bookings: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async deleteExpiredReservations(now = new Date()) {
+        try {
+            return await this.bookingsModel.deleteExpiredReservations(now);
+        } catch (error) {
+            throw new CustomError(
+                `Failed to delete expired reservations: ${error.message}`,
+                500
+            );
+        }
+    }
+
+    async getBookingHistory(id) {
+        try {
+            const existing = await this.bookingsModel.findById(id);
+            if (!existing) {
+                throw new CustomError(
+                    `Booking with id ${id} not found`,
+                    404
+                );
+            }
+
+            return await this.bookingsModel.getHistoryByBookingId(id);
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch booking history: ${error.message}`,
+                500
+            );
+        }
+    }
+
     async deleteBooking(id) {
         try {
             const existing = await this.bookingsModel.findById(id);
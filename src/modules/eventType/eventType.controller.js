@@ -2,13 +2,15 @@
 
 import BaseController from '../../core/baseController.js';
 import eventTypeService from "./eventType.service.js";
-import { eventTypeSchema, updateEventTypeSchema, formatZodError } from '../../core/validationSchema.js';
+import bookingsService from '../bookings/bookings.service.js';
+import { eventTypeSchema, updateEventTypeSchema, slotsQuerySchema, reservationSchema, formatZodError } from '../../core/validationSchema.js';
 
 class EventTypeController extends BaseController {
 
     constructor() {
         super();
         this.eventTypeService = eventTypeService;
+        this.bookingsService = bookingsService;
     }
 
     async getAllEventTypes(req, res) {
@@ -76,6 +78,60 @@ class EventTypeController extends BaseController {
         }
     }
 
+    async getAvailableSlots(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const eventTypeId = parseInt(id);
+            if (isNaN(eventTypeId)) {
+                return this.handleError(res, 'Invalid event type ID', {
+                    name: 'ValidationError',
+                    message: 'Event type ID must be a valid number'
+                });
+            }
+
+            // Validate query params
+            const result = slotsQuerySchema.safeParse(req.query);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const slots = await this.eventTypeService.getAvailableSlots(eventTypeId, result.data);
+            return this.handleSuccess(res, slots, 'Available slots fetched successfully');
+        } catch (error) {
+            return this.handleError(res, 'Failed to get available slots', error);
+        }
+    }
+
+    async createReservation(req, res) {
+        try {
+            const { id } = req.params;
+
+            // Validate id is a number
+            const eventTypeId = parseInt(id);
+            if (isNaN(eventTypeId)) {
+                return this.handleError(res, 'Invalid event type ID', {
+                    name: 'ValidationError',
+                    message: 'Event type ID must be a valid number'
+                });
+            }
+
+            // Validate request body
+            const result = reservationSchema.safeParse(req.body);
+            if (!result.success) {
+                const formattedError = formatZodError(result.error);
+                return this.handleError(res, 'Validation failed', formattedError);
+            }
+
+            const reservation = await this.bookingsService.reserveSlot(eventTypeId, result.data);
+            return this.handleSuccess(res, reservation, 'Slot reserved successfully', 201);
+        } catch (error) {
+            return this.handleError(res, 'Failed to reserve slot', error);
+        }
+    }
+
     async updateEventType(req, res) {
         try {
             const { id } = req.params;
@@ -9,14 +9,52 @@ class EventTypeModel {
 
     async createEventType(eventType) {
         try {
-            const { name, description, duration, url_slug, user_id, availability_id } = eventType;
+            const {
+                name,
+                description,
+                duration,
+                url_slug,
+                user_id,
+                availability_id,
+                buffer_before = 0,
+                buffer_after = 0,
+                minimum_notice_minutes,
+                max_days_in_future,
+                max_bookings_per_day,
+                max_bookings_per_week,
+                requires_confirmation = false,
+                seats_per_slot,
+                booking_questions = []
+            } = eventType;
 
             // Use name as url_slug if not provided
             const slug = url_slug || name;
 
             const result = await pool.query(
-                'INSERT INTO event_types (name, description, duration, url_slug, user_id, availability_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
-                [name, description, duration, slug, user_id || null, availability_id || null]
+                `INSERT INTO event_types (
+                    name, description, duration, url_slug, user_id, availability_id,
+                    buffer_before, buffer_after, minimum_notice_minutes, max_days_in_future,
+                    max_bookings_per_day, max_bookings_per_week, requires_confirmation, seats_per_slot,
+                    booking_questions
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                RETURNING *`,
+                [
+                    name,
+                    description,
+                    duration,
+                    slug,
+                    user_id || null,
+                    availability_id || null,
+                    buffer_before,
+                    buffer_after,
+                    minimum_notice_minutes ?? null,
+                    max_days_in_future ?? null,
+                    max_bookings_per_day ?? null,
+                    max_bookings_per_week ?? null,
+                    requires_confirmation,
+                    seats_per_slot ?? null,
+                    JSON.stringify(booking_questions)
+                ]
             );
             return result.rows[0];
         }
@@ -73,7 +111,23 @@ class EventTypeModel {
 
     async updateEventType(id, eventTypeData) {
         try {
-            const { name, description, duration, url_slug, user_id, availability_id } = eventTypeData;
+            const {
+                name,
+                description,
+                duration,
+                url_slug,
+                user_id,
+                availability_id,
+                buffer_before,
+                buffer_after,
+                minimum_notice_minutes,
+                max_days_in_future,
+                max_bookings_per_day,
+                max_bookings_per_week,
+                requires_confirmation,
+                seats_per_slot,
+                booking_questions
+            } = eventTypeData;
 
             // Build dynamic update query based on provided fields
             const updates = [];
@@ -120,6 +174,60 @@ class EventTypeModel {
                 }
             }
 
+            if (buffer_before !== undefined) {
+                updates.push(`buffer_before = $${paramIndex}`);
+                values.push(buffer_before);
+                paramIndex++;
+            }
+
+            if (buffer_after !== undefined) {
+                updates.push(`buffer_after = $${paramIndex}`);
+                values.push(buffer_after);
+                paramIndex++;
+            }
+
+            if (minimum_notice_minutes !== undefined) {
+                updates.push(`minimum_notice_minutes = $${paramIndex}`);
+                values.push(minimum_notice_minutes);
+                paramIndex++;
+            }
+
+            if (max_days_in_future !== undefined) {
+                updates.push(`max_days_in_future = $${paramIndex}`);
+                values.push(max_days_in_future);
+                paramIndex++;
+            }
+
+            if (max_bookings_per_day !== undefined) {
+                updates.push(`max_bookings_per_day = $${paramIndex}`);
+                values.push(max_bookings_per_day);
+                paramIndex++;
+            }
+
+            if (max_bookings_per_week !== undefined) {
+                updates.push(`max_bookings_per_week = $${paramIndex}`);
+                values.push(max_bookings_per_week);
+                paramIndex++;
+            }
+
+            if (requires_confirmation !== undefined) {
+                updates.push(`requires_confirmation = $${paramIndex}`);
+                values.push(requires_confirmation);
+                paramIndex++;
+            }
+
+            if (seats_per_slot !== undefined) {
+                updates.push(`seats_per_slot = $${paramIndex}`);
+                values.push(seats_per_slot);
+                paramIndex++;
+            }
+
+            if (booking_questions !== undefined) {
+                updates.push(`booking_questions = $${paramIndex}`);
+                values.push(JSON.stringify(booking_questions));
+                paramIndex++;
+            }
+
             // Always update updated_at
             updates.push(`updated_at = CURRENT_TIMESTAMP`);
 
@@ -12,6 +12,12 @@ router.get('/slug/:slug', eventTypeController.getEventTypeBySlug.bind(eventTypeC
 // Get single event type by ID
 router.get('/:id', eventTypeController.getEventTypeById.bind(eventTypeController));
 
+// Get bookable slots for an event type (query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&timezone=)
+router.get('/:id/slots', eventTypeController.getAvailableSlots.bind(eventTypeController));
+
+// Hold a slot while the booker fills in the form (returns a reservation_token for POST /bookings)
+router.post('/:id/reservations', eventTypeController.createReservation.bind(eventTypeController));
+
 // Create new event type
 router.post('/', eventTypeController.createEventType.bind(eventTypeController));
 
@@ -1,8 +1,20 @@
 // EventType Service - Business logic
 import eventTypeModel from './eventType.model.js';
 import availabilityModel from '../availability/availability.model.js';
+import bookingsModel from '../bookings/bookings.model.js';
 import CustomError from '../../core/customError.js';
 import pool from '../../core/db.js';
+import {
+    addDays,
+    addMinutes,
+    expandAvailability,
+    generateSlots,
+    getBookingWindow,
+    getPeriodBounds,
+    getZonedDateTime,
+    rangesOverlap,
+    zonedTimeToUtc
+} from '../../core/timeUtils.js';
 
 class EventTypeService {
 
@@ -96,6 +108,45 @@ class EventTypeService {
         }
     }
 
+    // Remaining quota for the current day and week, counted in the availability's timezone
+    async getBookingLimits(eventType) {
+        const limits = {
+            per_day: null,
+            per_week: null
+        };
+
+        if (eventType.max_bookings_per_day == null && eventType.max_bookings_per_week == null) {
+            return limits;
+        }
+
+        const availability = eventType.availability_id
+            ? await availabilityModel.findById(eventType.availability_id)
+            : null;
+        const timezone = availability?.timezone || 'UTC';
+        const now = new Date();
+
+        for (const [key, period, limit] of [
+            ['per_day', 'day', eventType.max_bookings_per_day],
+            ['per_week', 'week', eventType.max_bookings_per_week]
+        ]) {
+            if (limit == null) {
+                continue;
+            }
+
+            const bounds = getPeriodBounds(now, timezone, period);
+            const booked = await bookingsModel.countActiveInRange(eventType.id, bounds.start, bounds.end);
+            limits[key] = {
+                limit,
+                booked,
+                remaining: Math.max(limit - booked, 0),
+                period_start: bounds.start_date,
+                timezone
+            };
+        }
+
+        return limits;
+    }
+
     async getEventTypeById(id) {
         try {
             const eventType = await eventTypeModel.findById(id);
@@ -107,7 +158,8 @@ class EventTypeService {
             }
             return {
                 ...eventType,
-                bookingUrl: `/book/${eventType.url_slug || eventType.name}`
+                bookingUrl: `/book/${eventType.url_slug || eventType.name}`,
+                booking_limits: await this.getBookingLimits(eventType)
             };
         } catch (error) {
             if (error instanceof CustomError) {
@@ -144,6 +196,119 @@ class EventTypeService {
         }
     }
 
+    async getAvailableSlots(id, { from, to, timezone }) {
+        try {
+            const eventType = await eventTypeModel.findById(id);
+            if (!eventType) {
+                throw new CustomError(
+                    `Event type with id ${id} not found`,
+                    404
+                );
+            }
+
+            const availability = eventType.availability_id
+                ? await availabilityModel.findById(eventType.availability_id)
+                : null;
+            const outputTimezone = timezone || availability?.timezone || 'UTC';
+
+            const response = {
+                event_type_id: eventType.id,
+                duration: eventType.duration,
+                timezone: outputTimezone,
+                from,
+                to,
+                slots: {}
+            };
+
+            if (!availability) {
+                return response;
+            }
+
+            // from/to are calendar dates in the requested timezone
+            const rangeStart = zonedTimeToUtc(from, '00:00:00', outputTimezone);
+            const rangeEnd = zonedTimeToUtc(addDays(to, 1), '00:00:00', outputTimezone);
+
+            // Expand extra days on each side so windows shifted by the offset between the
+            // requested timezone and the availability's timezone are included
+            const windows = expandAvailability(availability, addDays(from, -2), addDays(to, 2));
+            // Look a day either side so bookings whose buffers reach into the range are included
+            const bookings = await bookingsModel.findActiveInRange(
+                eventType.id,
+                addMinutes(rangeStart, -1440),
+                addMinutes(rangeEnd, 1440)
+            );
+            // Slots held by bookers filling in the form are busy too
+            const reservations = await bookingsModel.findActiveReservationsInRange(
+                eventType.id,
+                addMinutes(rangeStart, -1440),
+                addMinutes(rangeEnd, 1440)
+            );
+            const busy = [...bookings, ...reservations];
+            const now = new Date();
+            const { earliest, latest } = getBookingWindow(eventType, now);
+            const isSeated = eventType.seats_per_slot != null;
+
+            for (const slot of generateSlots(windows, eventType.duration)) {
+                if (slot.start < rangeStart || slot.start >= rangeEnd || slot.start < now) {
+                    continue;
+                }
+
+                // Respect minimum notice and the rolling booking horizon
+                if ((earliest && slot.start < earliest) || (latest && slot.start > latest)) {
+                    continue;
+                }
+
+                // A seated slot stays open while the booking holding exactly that slot has free seats
+                let seatsRemaining = eventType.seats_per_slot;
+                const slotBooking = isSeated && bookings.find(booking =>
+                    booking.event_type_id === eventType.id &&
+                    new Date(booking.start_time).getTime() === slot.start.getTime() &&
+                    new Date(booking.end_time).getTime() === slot.end.getTime()
+                );
+                if (slotBooking) {
+                    seatsRemaining -= slotBooking.seats_booked;
+                    if (seatsRemaining <= 0) {
+                        continue;
+                    }
+                }
+
+                // Compare padded windows: the slot with this event type's buffers against
+                // each booking with its own event type's buffers
+                const isBooked = busy.some(booking => booking !== slotBooking &&
+                    rangesOverlap(
+                        addMinutes(slot.start, -eventType.buffer_before),
+                        addMinutes(slot.end, eventType.buffer_after),
+                        addMinutes(new Date(booking.start_time), -booking.buffer_before),
+                        addMinutes(new Date(booking.end_time), booking.buffer_after)
+                    )
+                );
+                if (isBooked) {
+                    continue;
+                }
+
+                const { date } = getZonedDateTime(slot.start, outputTimezone);
+                if (!response.slots[date]) {
+                    response.slots[date] = [];
+                }
+                response.slots[date].push({
+                    start_time: slot.start.toISOString(),
+                    end_time: slot.end.toISOString(),
+                    ...(isSeated && { seats_remaining: seatsRemaining })
+                });
+            }
+
+            return response;
+        } catch (error) {
+            if (error instanceof CustomError) {
+                throw error;
+            }
+            throw new CustomError(
+                `Failed to fetch available slots: ${error.message}`,
+                500
+            );
+        }
+    }
+
     async updateEventType(id, data) {
         try {
             // Business logic: Check if event type exists
@@ -78,6 +78,18 @@ describe('Availability API Endpoints', () => {
                 .expect(400);
         });
 
+        it('should return 400 for invalid timezone', async () => {
+            const response = await request(app)
+                .post('/availability')
+                .send({
+                    name: 'Invalid Timezone',
+                    timezone: 'Eastern Time'
+                })
+                .expect(400);
+
+            expect(response.body.error.errors[0].field).toBe('timezone');
+        });
+
         it('should return 400 for missing name', async () => {
             const response = await request(app)
                 .post('/availability')
@@ -230,6 +242,191 @@ describe('Availability API Endpoints', () => {
         });
     });
 
+    describe('/availability/:id/overrides - Date Overrides', () => {
+        let overrideAvailabilityId;
+        let overrideId;
+
+        beforeAll(async () => {
+            const createResponse = await request(app)
+                .post('/availability')
+                .send({
+                    name: 'Override Test',
+                    timezone: 'UTC',
+                    intervals: [
+                        { day_of_week: 5, start_time: '09:00:00', end_time: '17:00:00' }
+                    ]
+                });
+            overrideAvailabilityId = createResponse.body.data.id;
+        });
+
+        it('should add an override with custom hours', async () => {
+            const response = await request(app)
+                .post(`/availability/${overrideAvailabilityId}/overrides`)
+                .send({
+                    date: '2030-12-20',
+                    start_time: '10:00:00',
+                    end_time: '12:00:00'
+                })
+                .expect(201);
+
+            expect(response.body.data.date).toBe('2030-12-20');
+            expect(response.body.data.start_time).toBe('10:00:00');
+            overrideId = response.body.data.id;
+        });
+
+        it('should add an override that closes a date', async () => {
+            const response = await request(app)
+                .post(`/availability/${overrideAvailabilityId}/overrides`)
+                .send({ date: '2030-12-24' })
+                .expect(201);
+
+            expect(response.body.data.start_time).toBeNull();
+        });
+
+        it('should return 400 when only one of start_time/end_time is given', async () => {
+            await request(app)
+                .post(`/availability/${overrideAvailabilityId}/overrides`)
+                .send({ date: '2030-12-25', start_time: '10:00:00' })
+                .expect(400);
+        });
+
+        it('should return 400 for a date that does not exist', async () => {
+            const response = await request(app)
+                .post(`/availability/${overrideAvailabilityId}/overrides`)
+                .send({ date: '2026-02-30' })
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'date',
+                message: 'Date must be a valid calendar date'
+            });
+
+            await request(app)
+                .put(`/availability/${overrideAvailabilityId}/overrides/${overrideId}`)
+                .send({ date: '2030-13-01' })
+                .expect(400);
+        });
+
+        it('should list overrides', async () => {
+            const response = await request(app)
+                .get(`/availability/${overrideAvailabilityId}/overrides`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(2);
+        });
+
+        it('should update an override', async () => {
+            const response = await request(app)
+                .put(`/availability/${overrideAvailabilityId}/overrides/${overrideId}`)
+                .send({ end_time: '13:00:00' })
+                .expect(200);
+
+            expect(response.body.data.end_time).toBe('13:00:00');
+        });
+
+        it('should return 400 when an update leaves the override half-open', async () => {
+            await request(app)
+                .put(`/availability/${overrideAvailabilityId}/overrides/${overrideId}`)
+                .send({ start_time: null })
+                .expect(400);
+        });
+
+        it('should delete an override', async () => {
+            await request(app)
+                .delete(`/availability/${overrideAvailabilityId}/overrides/${overrideId}`)
+                .expect(200);
+
+            await request(app)
+                .delete(`/availability/${overrideAvailabilityId}/overrides/${overrideId}`)
+                .expect(404);
+        });
+
+        it('should return 404 for non-existent availability', async () => {
+            await request(app)
+                .post('/availability/99999/overrides')
+                .send({ date: '2030-12-24' })
+                .expect(404);
+        });
+    });
+
+    describe('/availability/:id/out-of-office - Out-of-Office Periods', () => {
+        let oooAvailabilityId;
+        let outOfOfficeId;
+
+        beforeAll(async () => {
+            const createResponse = await request(app)
+                .post('/availability')
+                .send({ name: 'OOO Test', timezone: 'UTC' });
+            oooAvailabilityId = createResponse.body.data.id;
+        });
+
+        it('should add an out-of-office period', async () => {
+            const response = await request(app)
+                .post(`/availability/${oooAvailabilityId}/out-of-office`)
+                .send({
+                    start_date: '2030-07-01',
+                    end_date: '2030-07-14',
+                    reason: 'Vacation'
+                })
+                .expect(201);
+
+            expect(response.body.data.start_date).toBe('2030-07-01');
+            expect(response.body.data.reason).toBe('Vacation');
+            outOfOfficeId = response.body.data.id;
+        });
+
+        it('should return 400 when end_date is before start_date', async () => {
+            await request(app)
+                .post(`/availability/${oooAvailabilityId}/out-of-office`)
+                .send({ start_date: '2030-07-14', end_date: '2030-07-01' })
+                .expect(400);
+        });
+
+        it('should return 400 for dates that do not exist', async () => {
+            const response = await request(app)
+                .post(`/availability/${oooAvailabilityId}/out-of-office`)
+                .send({ start_date: '2026-02-30', end_date: '2026-03-02' })
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'start_date',
+                message: 'Start date must be a valid calendar date'
+            });
+
+            await request(app)
+                .put(`/availability/${oooAvailabilityId}/out-of-office/${outOfOfficeId}`)
+                .send({ end_date: '2030-06-31' })
+                .expect(400);
+        });
+
+        it('should list out-of-office periods', async () => {
+            const response = await request(app)
+                .get(`/availability/${oooAvailabilityId}/out-of-office`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(1);
+        });
+
+        it('should update an out-of-office period', async () => {
+            const response = await request(app)
+                .put(`/availability/${oooAvailabilityId}/out-of-office/${outOfOfficeId}`)
+                .send({ end_date: '2030-07-21' })
+                .expect(200);
+
+            expect(response.body.data.end_date).toBe('2030-07-21');
+        });
+
+        it('should delete an out-of-office period', async () => {
+            await request(app)
+                .delete(`/availability/${oooAvailabilityId}/out-of-office/${outOfOfficeId}`)
+                .expect(200);
+
+            await request(app)
+                .delete(`/availability/${oooAvailabilityId}/out-of-office/${outOfOfficeId}`)
+                .expect(404);
+        });
+    });
+
     describe('DELETE /availability/:id - Delete Availability', () => {
         it('should delete availability successfully', async () => {
             const createResponse = await request(app)
@@ -1,8 +1,10 @@
 // API Endpoint Tests for Bookings
-import { describe, it, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, jest } from '@jest/globals';
 import request from 'supertest';
 import app from '../../app.js';
+import pool from '../../src/core/db.js';
 import { setupDatabase, dropTables } from '../../src/core/setupDatabase.js';
+import { runIdempotencyKeyCleanup } from '../../src/modules/bookings/bookings.jobs.js';
 import { waitForDB } from '../testUtils.js';
 
 describe('Bookings API Endpoints', () => {
@@ -35,7 +37,7 @@ describe('Bookings API Endpoints', () => {
             const bookingDate = new Date();
             bookingDate.setDate(bookingDate.getDate() + 1); // Tomorrow
             const startTime = new Date(bookingDate);
-            startTime.setHours(10, 0, 0, 0);
+            startTime.setUTCHours(16, 0, 0, 0);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + 30);
 
@@ -58,6 +60,64 @@ describe('Bookings API Endpoints', () => {
             bookingId = response.body.data.id;
         });
 
+        it('should derive the date when it is left out and accept UTC offsets', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 15);
+            const day = bookingDate.toISOString().split('T')[0];
+
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'offset@example.com',
+                    name: 'Offset User',
+                    start_time: `${day}T19:00:00+02:00`,
+                    end_time: `${day}T19:30:00+02:00`
+                })
+                .expect(201);
+
+            expect(new Date(response.body.data.start_time).toISOString()).toBe(`${day}T17:00:00.000Z`);
+            expect(response.body.data.date).toBe(day);
+        });
+
+        it('should return 400 when date does not match start_time', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 15);
+            const day = bookingDate.toISOString().split('T')[0];
+
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'mismatch@example.com',
+                    name: 'Mismatch User',
+                    start_time: `${day}T20:00:00Z`,
+                    end_time: `${day}T20:30:00Z`,
+                    date: '2020-01-01'
+                })
+                .expect(400);
+
+            expect(response.body.error.details.expected_date).toBe(day);
+        });
+
+        it('should return 400 when creating a booking that is already completed', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 15);
+            const day = bookingDate.toISOString().split('T')[0];
+
+            await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'completed@example.com',
+                    name: 'Completed User',
+                    start_time: `${day}T21:00:00Z`,
+                    end_time: `${day}T21:30:00Z`,
+                    booking_status: 'completed'
+                })
+                .expect(400);
+        });
+
         it('should return 400 for invalid email', async () => {
             const bookingDate = new Date();
             bookingDate.setDate(bookingDate.getDate() + 1);
@@ -125,7 +185,7 @@ describe('Bookings API Endpoints', () => {
             const bookingDate = new Date();
             bookingDate.setDate(bookingDate.getDate() + 1);
             const startTime = new Date(bookingDate);
-            startTime.setHours(14, 0, 0, 0);
+            startTime.setUTCHours(14, 0, 0, 0);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + 30);
 
@@ -154,13 +214,302 @@ describe('Bookings API Endpoints', () => {
                     date: bookingDate.toISOString().split('T')[0]
                 })
                 .expect(409);
+
+            expect(response.body.error.details.conflicting_booking).toHaveProperty('id');
+        });
+
+        it('should accept only one of two concurrent overlapping bookings', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 2);
+            const startTime = new Date(bookingDate);
+            startTime.setUTCHours(18, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const send = (email, offsetMinutes) => request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: email,
+                    name: 'Racing User',
+                    start_time: new Date(startTime.getTime() + offsetMinutes * 60 * 1000).toISOString(),
+                    end_time: new Date(endTime.getTime() + offsetMinutes * 60 * 1000).toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                });
+
+            // Overlapping but not identical start times
+            const responses = await Promise.all([send('race1@example.com', 0), send('race2@example.com', 15)]);
+
+            expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+        });
+
+        it('should create a recurring series', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 1);
+            startTime.setUTCHours(20, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'series@example.com',
+                    name: 'Series User',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0],
+                    recurrence: { frequency: 'weekly', count: 3 }
+                })
+                .expect(201);
+
+            expect(response.body.data.interval).toBe(1);
+            expect(response.body.data.bookings).toHaveLength(3);
+            expect(response.body.data.bookings[2].series_occurrence).toBe(3);
+        });
+
+        it('should return 400 when recurrence has both count and until', async () => {
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'series@example.com',
+                    name: 'Series User',
+                    start_time: '2030-01-07T16:00:00.000Z',
+                    end_time: '2030-01-07T16:30:00.000Z',
+                    date: '2030-01-07',
+                    recurrence: { frequency: 'weekly', count: 3, until: '2030-03-01' }
+                })
+                .expect(400);
+
+            expect(response.body.error.errors[0].field).toBe('recurrence.count');
+        });
+
+        it('should return 400 when recurrence ends on a date that does not exist', async () => {
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'series@example.com',
+                    name: 'Series User',
+                    start_time: '2030-01-07T16:00:00.000Z',
+                    end_time: '2030-01-07T16:30:00.000Z',
+                    recurrence: { frequency: 'weekly', until: '2030-11-31' }
+                })
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'recurrence.until',
+                message: 'Until must be a valid calendar date'
+            });
+        });
+
+        it('should replay the first response for a retried Idempotency-Key', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 13);
+            startTime.setUTCHours(15, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+            const body = {
+                event_type_id: eventTypeId,
+                client_email: 'retry@example.com',
+                name: 'Retry Test',
+                start_time: startTime.toISOString(),
+                end_time: endTime.toISOString(),
+                date: startTime.toISOString().split('T')[0]
+            };
+
+            const first = await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-1')
+                .send(body)
+                .expect(201);
+
+            const retry = await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-1')
+                .send(body)
+                .expect(201);
+
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body.data.id).toBe(first.body.data.id);
+
+            const bookings = await request(app)
+                .get('/bookings')
+                .query({ client_email: 'retry@example.com' })
+                .expect(200);
+            expect(bookings.body.data).toHaveLength(1);
+        });
+
+        it('should return 422 when an Idempotency-Key is reused for a different request', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 13);
+            startTime.setUTCHours(17, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+            const body = {
+                event_type_id: eventTypeId,
+                client_email: 'retry@example.com',
+                name: 'Retry Test',
+                start_time: startTime.toISOString(),
+                end_time: endTime.toISOString(),
+                date: startTime.toISOString().split('T')[0]
+            };
+
+            await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-2')
+                .send(body)
+                .expect(201);
+
+            await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-2')
+                .send({ ...body, name: 'Someone Else' })
+                .expect(422);
+        });
+
+        it('should replay a retry that sends the same fields in a different order', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 13);
+            startTime.setUTCHours(18, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+            const body = {
+                event_type_id: eventTypeId,
+                client_email: 'reorder@example.com',
+                name: 'Reorder Test',
+                start_time: startTime.toISOString(),
+                end_time: endTime.toISOString()
+            };
+            const reordered = Object.fromEntries(Object.entries(body).reverse());
+
+            const first = await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-3')
+                .send(body)
+                .expect(201);
+
+            const retry = await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-3')
+                .send(reordered)
+                .expect(201);
+
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body.data.id).toBe(first.body.data.id);
+        });
+
+        it('should let a retry reclaim a key left in flight past the timeout', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 13);
+            startTime.setUTCHours(19, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            // A request that claimed the key and never finished
+            await pool.query(
+                `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash, created_at)
+                 VALUES ('retry-key-4', '/bookings/', $1, CURRENT_TIMESTAMP - INTERVAL '5 minutes')`,
+                ['0'.repeat(64)]
+            );
+
+            const response = await request(app)
+                .post('/bookings')
+                .set('Idempotency-Key', 'retry-key-4')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'stuck@example.com',
+                    name: 'Stuck Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString()
+                })
+                .expect(201);
+
+            expect(response.headers['idempotent-replayed']).toBeUndefined();
+        });
+
+        it('should claim the key again when its holder disappears before the lookup', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 13);
+            startTime.setUTCHours(20, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            // Another request holds the key, and its row is swept just before this request looks it up
+            await pool.query(
+                `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash)
+                 VALUES ('retry-key-5', '/bookings/', $1)`,
+                ['0'.repeat(64)]
+            );
+            const query = pool.query.bind(pool);
+            const spy = jest.spyOn(pool, 'query').mockImplementation(async (text, values) => {
+                if (typeof text === 'string' && text.startsWith('SELECT * FROM idempotency_keys')) {
+                    spy.mockRestore();
+                    await query(`DELETE FROM idempotency_keys WHERE idempotency_key = 'retry-key-5'`);
+                }
+                return query(text, values);
+            });
+
+            try {
+                await request(app)
+                    .post('/bookings')
+                    .set('Idempotency-Key', 'retry-key-5')
+                    .send({
+                        event_type_id: eventTypeId,
+                        client_email: 'swept@example.com',
+                        name: 'Swept Test',
+                        start_time: startTime.toISOString(),
+                        end_time: endTime.toISOString()
+                    })
+                    .expect(201);
+            } finally {
+                spy.mockRestore();
+            }
+        });
+
+        it('should delete expired Idempotency-Keys in the cleanup sweep', async () => {
+            await pool.query(
+                `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash, created_at)
+                 VALUES ('expired-key', '/bookings', $1, CURRENT_TIMESTAMP - INTERVAL '25 hours')`,
+                ['0'.repeat(64)]
+            );
+
+            expect(await runIdempotencyKeyCleanup()).toBe(1);
+            const remaining = await pool.query(
+                `SELECT 1 FROM idempotency_keys WHERE idempotency_key = 'expired-key'`
+            );
+            expect(remaining.rows).toHaveLength(0);
+        });
+
+        it('should return 422 for booking outside availability', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 1);
+            const startTime = new Date(bookingDate);
+            startTime.setUTCHours(3, 0, 0, 0); // Default availability is 2PM-10PM UTC
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'early@example.com',
+                    name: 'Early User',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(422);
+
+            expect(response.body.message).toContain('outside the availability');
         });
 
         it('should allow booking with meeting_link', async () => {
             const bookingDate = new Date();
             bookingDate.setDate(bookingDate.getDate() + 2);
             const startTime = new Date(bookingDate);
-            startTime.setHours(15, 0, 0, 0);
+            startTime.setUTCHours(15, 0, 0, 0);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + 30);
 
@@ -208,6 +557,66 @@ describe('Bookings API Endpoints', () => {
 
             expect(response.body.data).toBeInstanceOf(Array);
         });
+
+        it('should paginate bookings with a total and next cursor', async () => {
+            const first = await request(app)
+                .get('/bookings?limit=1&sort=created_at')
+                .expect(200);
+
+            expect(first.body.data).toHaveLength(1);
+            expect(first.body.pagination).toMatchObject({ limit: 1, sort: 'created_at' });
+            expect(first.body.pagination.total).toBeGreaterThanOrEqual(1);
+
+            if (first.body.pagination.has_more) {
+                const second = await request(app)
+                    .get(`/bookings?limit=1&sort=created_at&cursor=${first.body.pagination.next_cursor}`)
+                    .expect(200);
+
+                expect(second.body.data[0].id).not.toBe(first.body.data[0].id);
+            }
+        });
+
+        it('should return 400 for invalid list parameters', async () => {
+            await request(app).get('/bookings?limit=0').expect(400);
+            await request(app).get('/bookings?sort=name').expect(400);
+            await request(app).get('/bookings?from=2024-12-20&to=2024-12-19').expect(400);
+            await request(app).get('/bookings?upcoming=true&past=true').expect(400);
+            await request(app).get('/bookings?cursor=garbage').expect(400);
+            await request(app).get('/bookings?from=2026-02-30').expect(400);
+
+            const outOfRange = Buffer.from(JSON.stringify({ id: 999999999999, sort: '-start_time' })).toString('base64url');
+            await request(app).get(`/bookings?cursor=${outOfRange}`).expect(400);
+        });
+    });
+
+    describe('GET /bookings/search - Search Bookings', () => {
+        it('should find bookings by email fragment', async () => {
+            const response = await request(app)
+                .get(`/bookings/search?q=example&event_type_id=${eventTypeId}`)
+                .expect(200);
+
+            expect(response.body.data).toBeInstanceOf(Array);
+            response.body.data.forEach(booking => {
+                expect(booking.client_email).toContain('example');
+                expect(booking.event_type_id).toBe(eventTypeId);
+            });
+        });
+
+        it('should return 400 without a query', async () => {
+            await request(app).get('/bookings/search').expect(400);
+            await request(app).get('/bookings/search?q=%20').expect(400);
+        });
+
+        it('should return 400 for an event type id beyond the id range', async () => {
+            const response = await request(app)
+                .get('/bookings/search?q=a&event_type_id=99999999999')
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'event_type_id',
+                message: 'Event type ID is too large'
+            });
+        });
     });
 
     describe('GET /bookings/:id - Get Booking by ID', () => {
@@ -217,7 +626,7 @@ describe('Bookings API Endpoints', () => {
                 const bookingDate = new Date();
                 bookingDate.setDate(bookingDate.getDate() + 3);
                 const startTime = new Date(bookingDate);
-                startTime.setHours(10, 0, 0, 0);
+                startTime.setUTCHours(16, 0, 0, 0);
                 const endTime = new Date(startTime);
                 endTime.setMinutes(endTime.getMinutes() + 30);
 
@@ -257,6 +666,16 @@ describe('Bookings API Endpoints', () => {
             expect(response.body.data).toBeInstanceOf(Array);
         });
 
+        it('should list upcoming bookings for event type soonest first', async () => {
+            const response = await request(app)
+                .get(`/bookings/event-type/${eventTypeId}?upcoming=true`)
+                .expect(200);
+
+            const starts = response.body.data.map(booking => new Date(booking.start_time).getTime());
+            expect(starts).toEqual([...starts].sort((a, b) => a - b));
+            expect(response.body.pagination.sort).toBe('start_time');
+        });
+
         it('should return 404 for non-existent event type', async () => {
             const response = await request(app)
                 .get('/bookings/event-type/99999')
@@ -270,7 +689,7 @@ describe('Bookings API Endpoints', () => {
                 const bookingDate = new Date();
                 bookingDate.setDate(bookingDate.getDate() + 4);
                 const startTime = new Date(bookingDate);
-                startTime.setHours(10, 0, 0, 0);
+                startTime.setUTCHours(16, 0, 0, 0);
                 const endTime = new Date(startTime);
                 endTime.setMinutes(endTime.getMinutes() + 30);
 
@@ -290,13 +709,57 @@ describe('Bookings API Endpoints', () => {
             const response = await request(app)
                 .put(`/bookings/${bookingId}`)
                 .send({
-                    name: 'Updated Name',
-                    booking_status: 'cancelled'
+                    name: 'Updated Name'
                 })
                 .expect(200);
 
             expect(response.body.data.name).toBe('Updated Name');
-            expect(response.body.data.booking_status).toBe('cancelled');
+        });
+
+        it('should return 400 when PUT tries to cancel the booking', async () => {
+            const response = await request(app)
+                .put(`/bookings/${bookingId}`)
+                .send({ booking_status: 'cancelled' })
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'booking_status',
+                message: 'Use POST /bookings/:id/cancel to cancel a booking'
+            });
+
+            const history = await request(app)
+                .get(`/bookings/${bookingId}/history`)
+                .expect(200);
+            expect(history.body.data).toEqual([]);
+        });
+
+        it('should return 409 for an illegal status change', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 4);
+            const startTime = new Date(bookingDate);
+            startTime.setUTCHours(18, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const createResponse = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'status@example.com',
+                    name: 'Status Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+
+            // The booking is still in the future
+            const response = await request(app)
+                .put(`/bookings/${createResponse.body.data.id}`)
+                .send({ booking_status: 'completed' })
+                .expect(409);
+
+            expect(response.body.message).toContain('before it ends');
         });
 
         it('should return 404 for non-existent ID', async () => {
@@ -309,13 +772,498 @@ describe('Bookings API Endpoints', () => {
         });
     });
 
+    describe('POST /bookings/:id/reschedule - Reschedule Booking', () => {
+        it('should reschedule a booking to a new time', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 6);
+            const startTime = new Date(bookingDate);
+            startTime.setUTCHours(16, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const createResponse = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'reschedule@example.com',
+                    name: 'Reschedule Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+            const originalId = createResponse.body.data.id;
+
+            const newStart = new Date(startTime);
+            newStart.setUTCHours(17, 0, 0, 0);
+            const newEnd = new Date(newStart);
+            newEnd.setMinutes(newEnd.getMinutes() + 30);
+
+            const response = await request(app)
+                .post(`/bookings/${originalId}/reschedule`)
+                .send({
+                    start_time: newStart.toISOString(),
+                    end_time: newEnd.toISOString(),
+                    date: newStart.toISOString().split('T')[0],
+                    reason: 'Conflict with another meeting'
+                })
+                .expect(201);
+
+            expect(response.body.data.rescheduled_from_booking_id).toBe(originalId);
+            expect(response.body.data.start_time).toBe(newStart.toISOString());
+
+            const historyResponse = await request(app)
+                .get(`/bookings/${originalId}/history`)
+                .expect(200);
+
+            expect(historyResponse.body.data[0].reason).toBe('Conflict with another meeting');
+            expect(historyResponse.body.data[0].previous_start_time).toBe(startTime.toISOString());
+        });
+
+        it('should return 400 without a new time', async () => {
+            await request(app)
+                .post('/bookings/1/reschedule')
+                .send({ reason: 'No time given' })
+                .expect(400);
+        });
+
+        it('should return 404 for non-existent ID', async () => {
+            await request(app)
+                .post('/bookings/99999/reschedule')
+                .send({
+                    start_time: '2030-01-01T16:00:00.000Z',
+                    end_time: '2030-01-01T16:30:00.000Z',
+                    date: '2030-01-01'
+                })
+                .expect(404);
+        });
+    });
+
+    describe('POST /bookings/:id/cancel - Cancel Booking', () => {
+        it('should cancel a booking with a reason', async () => {
+            const bookingDate = new Date();
+            bookingDate.setDate(bookingDate.getDate() + 7);
+            const startTime = new Date(bookingDate);
+            startTime.setUTCHours(16, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const createResponse = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'cancel@example.com',
+                    name: 'Cancel Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+
+            const response = await request(app)
+                .post(`/bookings/${createResponse.body.data.id}/cancel`)
+                .send({ reason: 'Host unavailable', cancelled_by: 'host' })
+                .expect(200);
+
+            expect(response.body.data.booking_status).toBe('cancelled');
+            expect(response.body.data.cancellation_reason).toBe('Host unavailable');
+            expect(response.body.data.cancelled_by).toBe('host');
+            expect(response.body.data.cancelled_at).toBeTruthy();
+        });
+
+        it('should return 400 without a reason', async () => {
+            const response = await request(app)
+                .post('/bookings/1/cancel')
+                .send({ cancelled_by: 'attendee' })
+                .expect(400);
+
+            expect(response.body.error.errors[0].field).toBe('reason');
+        });
+
+        it('should return 400 for an invalid cancelled_by', async () => {
+            await request(app)
+                .post('/bookings/1/cancel')
+                .send({ reason: 'No longer needed', cancelled_by: 'someone' })
+                .expect(400);
+        });
+
+        it('should return 404 for non-existent ID', async () => {
+            await request(app)
+                .post('/bookings/99999/cancel')
+                .send({ reason: 'No longer needed', cancelled_by: 'attendee' })
+                .expect(404);
+        });
+    });
+
+    describe('Booking questions', () => {
+        let questionsEventTypeId;
+
+        const bookWithResponses = (responses, hour) => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 12);
+            startTime.setUTCHours(hour, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            return request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: questionsEventTypeId,
+                    client_email: 'questions@example.com',
+                    name: 'Questions Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0],
+                    responses
+                });
+        };
+
+        beforeAll(async () => {
+            const response = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'questions-test-event',
+                    duration: 30,
+                    booking_questions: [
+                        { name: 'topic', label: 'Topic', type: 'select', options: ['sales', 'support'], required: true }
+                    ]
+                })
+                .expect(201);
+            questionsEventTypeId = response.body.data.id;
+        });
+
+        it('should return the answers with the booking', async () => {
+            const createResponse = await bookWithResponses({ topic: 'support' }, 15).expect(201);
+
+            const response = await request(app)
+                .get(`/bookings/${createResponse.body.data.id}`)
+                .expect(200);
+            expect(response.body.data.responses).toEqual({ topic: 'support' });
+        });
+
+        it('should return 400 when a required answer is missing', async () => {
+            const response = await bookWithResponses({}, 16).expect(400);
+
+            expect(response.body.error.details.errors[0].field).toBe('responses.topic');
+        });
+    });
+
+    describe('/bookings/waitlist - Waitlist', () => {
+        it('should join, list and leave the waitlist of a taken slot', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 14);
+            startTime.setUTCHours(15, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+            const slot = {
+                event_type_id: eventTypeId,
+                start_time: startTime.toISOString(),
+                end_time: endTime.toISOString(),
+                date: startTime.toISOString().split('T')[0]
+            };
+
+            await request(app)
+                .post('/bookings')
+                .send({ ...slot, client_email: 'taken@example.com', name: 'Taken' })
+                .expect(201);
+
+            const joinResponse = await request(app)
+                .post('/bookings/waitlist')
+                .send({ ...slot, client_email: 'waiting@example.com', name: 'Waiting' })
+                .expect(201);
+            expect(joinResponse.body.data.position).toBe(1);
+
+            const listResponse = await request(app)
+                .get('/bookings/waitlist')
+                .query({ event_type_id: eventTypeId, waitlist_status: 'waiting' })
+                .expect(200);
+            expect(listResponse.body.data.map(entry => entry.id)).toContain(joinResponse.body.data.id);
+
+            const leaveResponse = await request(app)
+                .delete(`/bookings/waitlist/${joinResponse.body.data.id}`)
+                .expect(200);
+            expect(leaveResponse.body.data.waitlist_status).toBe('left');
+        });
+
+        it('should return 404 when leaving a non-existent entry', async () => {
+            await request(app)
+                .delete('/bookings/waitlist/99999')
+                .expect(404);
+        });
+    });
+
+    describe('/bookings/:id/attendees - Guests', () => {
+        it('should add, list and remove a guest', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 11);
+            startTime.setUTCHours(15, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const createResponse = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'host-guest@example.com',
+                    name: 'Guest Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+            const guestBookingId = createResponse.body.data.id;
+
+            const addResponse = await request(app)
+                .post(`/bookings/${guestBookingId}/attendees`)
+                .send({ email: 'guest@example.com', name: 'Guest' })
+                .expect(201);
+
+            const listResponse = await request(app)
+                .get(`/bookings/${guestBookingId}/attendees`)
+                .expect(200);
+            expect(listResponse.body.data.map(attendee => attendee.email)).toEqual(['guest@example.com']);
+
+            await request(app)
+                .delete(`/bookings/${guestBookingId}/attendees/${addResponse.body.data.id}`)
+                .expect(200);
+
+            const bookingResponse = await request(app)
+                .get(`/bookings/${guestBookingId}`)
+                .expect(200);
+            expect(bookingResponse.body.data.attendees).toEqual([]);
+        });
+
+        it('should return 400 for an invalid guest email', async () => {
+            const response = await request(app)
+                .post('/bookings/1/attendees')
+                .send({ email: 'not-an-email', name: 'Guest' })
+                .expect(400);
+
+            expect(response.body.error.errors[0].field).toBe('email');
+        });
+
+        it('should return 404 for non-existent booking', async () => {
+            await request(app)
+                .post('/bookings/99999/attendees')
+                .send({ email: 'guest@example.com', name: 'Guest' })
+                .expect(404);
+        });
+    });
+
+    describe('POST /bookings/:id/seats/:seatId/cancel - Seated Bookings', () => {
+        it('should share a slot and cancel a single seat', async () => {
+            const eventTypeResponse = await request(app)
+                .post('/event-type')
+                .send({ name: 'seated-test-event', duration: 30, seats_per_slot: 3 })
+                .expect(201);
+            const seatedEventTypeId = eventTypeResponse.body.data.id;
+
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 10);
+            startTime.setUTCHours(15, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+            const date = startTime.toISOString().split('T')[0];
+
+            const bookSeat = (email) => request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: seatedEventTypeId,
+                    client_email: email,
+                    name: 'Workshop Attendee',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date
+                })
+                .expect(201);
+
+            const first = await bookSeat('seat1@example.com');
+            const second = await bookSeat('seat2@example.com');
+            expect(second.body.data.id).toBe(first.body.data.id);
+            expect(second.body.data.seats_remaining).toBe(1);
+
+            const slotsResponse = await request(app)
+                .get(`/event-type/${seatedEventTypeId}/slots`)
+                .query({ from: date, to: date, timezone: 'UTC' })
+                .expect(200);
+            const slot = slotsResponse.body.data.slots[date]
+                .find(candidate => candidate.start_time === startTime.toISOString());
+            expect(slot.seats_remaining).toBe(1);
+
+            const response = await request(app)
+                .post(`/bookings/${first.body.data.id}/seats/${first.body.data.seat.id}/cancel`)
+                .send({ reason: 'Cannot attend' })
+                .expect(200);
+
+            expect(response.body.data.booking_status).toBe('confirmed');
+            expect(response.body.data.seat.seat_status).toBe('cancelled');
+            expect(response.body.data.seats_remaining).toBe(2);
+        });
+
+        it('should return 404 for a seat that does not exist', async () => {
+            await request(app)
+                .post('/bookings/99999/seats/1/cancel')
+                .send({ reason: 'Cannot attend' })
+                .expect(404);
+        });
+    });
+
+    describe('POST /bookings/:id/approve and /reject - Host Approval', () => {
+        let approvalEventTypeId;
+
+        const createPendingBooking = async (hour) => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 8);
+            startTime.setUTCHours(hour, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const response = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: approvalEventTypeId,
+                    client_email: 'approval@example.com',
+                    name: 'Approval Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+            return response.body.data;
+        };
+
+        beforeAll(async () => {
+            const response = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'approval-test-event',
+                    duration: 30,
+                    requires_confirmation: true
+                })
+                .expect(201);
+            approvalEventTypeId = response.body.data.id;
+        });
+
+        it('should approve a pending booking', async () => {
+            const booking = await createPendingBooking(16);
+            expect(booking.booking_status).toBe('pending');
+
+            const response = await request(app)
+                .post(`/bookings/${booking.id}/approve`)
+                .expect(200);
+
+            expect(response.body.data.booking_status).toBe('confirmed');
+        });
+
+        it('should reject a pending booking with a reason', async () => {
+            const booking = await createPendingBooking(17);
+
+            await request(app)
+                .post(`/bookings/${booking.id}/reject`)
+                .send({})
+                .expect(400);
+
+            const response = await request(app)
+                .post(`/bookings/${booking.id}/reject`)
+                .send({ reason: 'Not a good fit' })
+                .expect(200);
+
+            expect(response.body.data.booking_status).toBe('rejected');
+            expect(response.body.data.rejection_reason).toBe('Not a good fit');
+
+            await request(app)
+                .post(`/bookings/${booking.id}/approve`)
+                .expect(409);
+        });
+
+        it('should return 404 for non-existent ID', async () => {
+            await request(app)
+                .post('/bookings/99999/approve')
+                .expect(404);
+        });
+    });
+
+    describe('POST /bookings/:id/no-show - Mark No-Show', () => {
+        it('should return 409 for a booking that has not started', async () => {
+            const startTime = new Date();
+            startTime.setDate(startTime.getDate() + 9);
+            startTime.setUTCHours(16, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setMinutes(endTime.getMinutes() + 30);
+
+            const createResponse = await request(app)
+                .post('/bookings')
+                .send({
+                    event_type_id: eventTypeId,
+                    client_email: 'noshow@example.com',
+                    name: 'No-Show Test',
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date: startTime.toISOString().split('T')[0]
+                })
+                .expect(201);
+
+            const response = await request(app)
+                .post(`/bookings/${createResponse.body.data.id}/no-show`)
+                .send({ no_show: true })
+                .expect(409);
+
+            expect(response.body.message).toContain('before the booking starts');
+        });
+
+        it('should return 404 for non-existent ID', async () => {
+            await request(app)
+                .post('/bookings/99999/no-show')
+                .expect(404);
+        });
+
+        it('should filter bookings by no_show', async () => {
+            const response = await request(app)
+                .get('/bookings?no_show=false')
+                .expect(200);
+
+            expect(response.body.data.every(booking => booking.no_show === false)).toBe(true);
+        });
+
+        it('should return 400 for an invalid no_show filter', async () => {
+            await request(app)
+                .get('/bookings?no_show=maybe')
+                .expect(400);
+        });
+
+        it('should list no-show rates per event type', async () => {
+            const response = await request(app)
+                .get('/bookings/no-show-rates')
+                .query({ event_type_id: eventTypeId })
+                .expect(200);
+
+            expect(Array.isArray(response.body.data)).toBe(true);
+            for (const rate of response.body.data) {
+                expect(rate.event_type_id).toBe(eventTypeId);
+                expect(rate.no_show_rate).toBe(rate.no_shows / rate.completed_bookings);
+            }
+        });
+
+        it('should return 400 for a no-show rate range that ends before it starts', async () => {
+            await request(app)
+                .get('/bookings/no-show-rates?from=2024-02-01&to=2024-01-01')
+                .expect(400);
+        });
+
+        it('should return 400 for an impossible date or event type id in no-show rates', async () => {
+            await request(app).get('/bookings/no-show-rates?from=2026-13-01').expect(400);
+            await request(app).get('/bookings/no-show-rates?to=2026-04-31').expect(400);
+            await request(app).get('/bookings/no-show-rates?event_type_id=99999999999').expect(400);
+        });
+    });
+
     describe('DELETE /bookings/:id - Delete Booking', () => {
         it('should delete booking successfully', async () => {
             // Create a booking to delete
             const bookingDate = new Date();
             bookingDate.setDate(bookingDate.getDate() + 5);
             const startTime = new Date(bookingDate);
-            startTime.setHours(10, 0, 0, 0);
+            startTime.setUTCHours(16, 0, 0, 0);
             const endTime = new Date(startTime);
             endTime.setMinutes(endTime.getMinutes() + 30);
 
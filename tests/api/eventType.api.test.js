@@ -83,6 +83,69 @@ describe('EventType API Endpoints', () => {
                 .expect(400);
         });
 
+        it('should create event type with buffers', async () => {
+            const response = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'buffered-meeting',
+                    duration: 30,
+                    buffer_before: 5,
+                    buffer_after: 10
+                })
+                .expect(201);
+
+            expect(response.body.data.buffer_before).toBe(5);
+            expect(response.body.data.buffer_after).toBe(10);
+        });
+
+        it('should create event type that requires confirmation', async () => {
+            const response = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'approval-event',
+                    duration: 30,
+                    requires_confirmation: true
+                })
+                .expect(201);
+
+            expect(response.body.data.requires_confirmation).toBe(true);
+        });
+
+        it('should return 400 for a select question without options', async () => {
+            const response = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'bad-questions',
+                    duration: 30,
+                    booking_questions: [{ name: 'plan', label: 'Plan', type: 'select' }]
+                })
+                .expect(400);
+
+            expect(response.body.error.errors[0].field).toBe('booking_questions.0.options');
+        });
+
+        it('should return 400 for zero seats per slot', async () => {
+            await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'no-seats',
+                    duration: 30,
+                    seats_per_slot: 0
+                })
+                .expect(400);
+        });
+
+        it('should return 400 for negative buffer', async () => {
+            await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'negative-buffer',
+                    duration: 30,
+                    buffer_after: -5
+                })
+                .expect(400);
+        });
+
         it('should return 400 for duration exceeding 24 hours', async () => {
             const response = await request(app)
                 .post('/event-type')
@@ -182,6 +245,120 @@ describe('EventType API Endpoints', () => {
         });
     });
 
+    describe('GET /event-type/:id/slots - Get Available Slots', () => {
+        it('should return slots grouped by date', async () => {
+            const createResponse = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'slots-test-event',
+                    duration: 60
+                });
+            const eventTypeId = createResponse.body.data.id;
+
+            const from = new Date();
+            from.setUTCDate(from.getUTCDate() + 1);
+            const to = new Date(from);
+            to.setUTCDate(to.getUTCDate() + 1);
+
+            const response = await request(app)
+                .get(`/event-type/${eventTypeId}/slots`)
+                .query({
+                    from: from.toISOString().split('T')[0],
+                    to: to.toISOString().split('T')[0],
+                    timezone: 'UTC'
+                })
+                .expect(200);
+
+            // Default availability is 2PM-10PM UTC every day
+            const dates = Object.keys(response.body.data.slots);
+            expect(dates).toHaveLength(2);
+            expect(response.body.data.slots[dates[0]]).toHaveLength(8);
+        });
+
+        it('should hide a slot held by a reservation', async () => {
+            const createResponse = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'reservation-test-event',
+                    duration: 60
+                });
+            const eventTypeId = createResponse.body.data.id;
+
+            const startTime = new Date();
+            startTime.setUTCDate(startTime.getUTCDate() + 1);
+            startTime.setUTCHours(15, 0, 0, 0);
+            const endTime = new Date(startTime);
+            endTime.setUTCHours(16);
+            const date = startTime.toISOString().split('T')[0];
+
+            const reservationResponse = await request(app)
+                .post(`/event-type/${eventTypeId}/reservations`)
+                .send({
+                    start_time: startTime.toISOString(),
+                    end_time: endTime.toISOString(),
+                    date,
+                    ttl_minutes: 5
+                })
+                .expect(201);
+            expect(reservationResponse.body.data.reservation_token).toBeDefined();
+
+            const response = await request(app)
+                .get(`/event-type/${eventTypeId}/slots`)
+                .query({ from: date, to: date, timezone: 'UTC' })
+                .expect(200);
+
+            const starts = response.body.data.slots[date].map(slot => slot.start_time);
+            expect(starts).not.toContain(startTime.toISOString());
+            expect(starts).toHaveLength(7);
+
+            await request(app)
+                .post(`/event-type/${eventTypeId}/reservations`)
+                .send({ start_time: startTime.toISOString(), end_time: endTime.toISOString(), date })
+                .expect(409);
+        });
+
+        it('should return 400 for a reservation TTL over 60 minutes', async () => {
+            await request(app)
+                .post('/event-type/1/reservations')
+                .send({
+                    start_time: '2030-01-01T15:00:00.000Z',
+                    end_time: '2030-01-01T15:30:00.000Z',
+                    date: '2030-01-01',
+                    ttl_minutes: 120
+                })
+                .expect(400);
+        });
+
+        it('should return 400 when from/to are missing', async () => {
+            await request(app)
+                .get('/event-type/1/slots')
+                .expect(400);
+        });
+
+        it('should return 400 for dates that do not exist', async () => {
+            const response = await request(app)
+                .get('/event-type/1/slots?from=2026-02-30&to=2026-03-02')
+                .expect(400);
+
+            expect(response.body.error.errors[0]).toMatchObject({
+                field: 'from',
+                message: 'From must be a valid calendar date'
+            });
+        });
+
+        it('should return 400 for invalid timezone', async () => {
+            await request(app)
+                .get('/event-type/1/slots?from=2030-01-01&to=2030-01-02&timezone=Mars/Base')
+                .expect(400);
+        });
+
+        it('should return 404 for non-existent event type', async () => {
+            await request(app)
+                .get('/event-type/99999/slots?from=2030-01-01&to=2030-01-02')
+                .expect(404);
+        });
+    });
+
     describe('PUT /event-type/:id - Update Event Type', () => {
         it('should update event type successfully', async () => {
             if (!createdEventTypeId) {
@@ -215,6 +392,26 @@ describe('EventType API Endpoints', () => {
                 .expect(404);
         });
 
+        it('should update booking notice and horizon', async () => {
+            const createResponse = await request(app)
+                .post('/event-type')
+                .send({
+                    name: 'notice-test',
+                    duration: 30
+                });
+
+            const response = await request(app)
+                .put(`/event-type/${createResponse.body.data.id}`)
+                .send({
+                    minimum_notice_minutes: 240,
+                    max_days_in_future: 60
+                })
+                .expect(200);
+
+            expect(response.body.data.minimum_notice_minutes).toBe(240);
+            expect(response.body.data.max_days_in_future).toBe(60);
+        });
+
         it('should return 400 for invalid update data', async () => {
             if (!createdEventTypeId) {
                 const createResponse = await request(app)
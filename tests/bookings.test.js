@@ -2,9 +2,11 @@
 import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import bookingsModel from '../src/modules/bookings/bookings.model.js';
 import bookingsService from '../src/modules/bookings/bookings.service.js';
+import { runCompletionSweep, runReservationCleanup, runWaitlistOfferExpiry } from '../src/modules/bookings/bookings.jobs.js';
 import eventTypeModel from '../src/modules/eventType/eventType.model.js';
+import availabilityModel from '../src/modules/availability/availability.model.js';
 import { setupDatabase, dropTables } from '../src/core/setupDatabase.js';
-import { waitForDB } from './testUtils.js';
+import { waitForDB, futureDateForDay, TEST_SLOT, bookingFixture } from './testUtils.js';
 
 describe('Bookings Module', () => {
     let eventTypeId;
@@ -151,9 +153,116 @@ describe('Bookings Module', () => {
 
             expect(hasConflict).toBe(true);
         });
+
+        it('should treat buffers around bookings as occupied', async () => {
+            await eventTypeModel.updateEventType(eventTypeId, {
+                buffer_before: 10,
+                buffer_after: 15
+            });
+            await bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            // Starts inside the existing booking's 15 minute after-buffer
+            const insideBuffer = await bookingsModel.checkConflict(
+                eventTypeId,
+                '2024-12-20',
+                new Date('2024-12-20T10:40:00Z'),
+                new Date('2024-12-20T11:10:00Z')
+            );
+            // Clears the existing after-buffer and its own 10 minute before-buffer
+            const clearOfBuffers = await bookingsModel.checkConflict(
+                eventTypeId,
+                '2024-12-20',
+                new Date('2024-12-20T10:55:00Z'),
+                new Date('2024-12-20T11:25:00Z')
+            );
+
+            expect(insideBuffer).toBe(true);
+            expect(clearOfBuffers).toBe(false);
+        });
+        it('should reject overlapping bookings at the database level', async () => {
+            await bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            await expect(bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'other@example.com',
+                name: 'Other User',
+                start_time: new Date('2024-12-20T10:15:00Z'),
+                end_time: new Date('2024-12-20T10:45:00Z'),
+                date: '2024-12-20'
+            })).rejects.toMatchObject({ code: '23P01' });
+        });
+
+        it('should reject concurrent overlapping bookings on event types of the same host', async () => {
+            const availability = await availabilityModel.createAvailability({ name: 'Shared Host', timezone: 'UTC' });
+            const [first, second] = await Promise.all(['host-first', 'host-second'].map(name =>
+                eventTypeModel.createEventType({ name, duration: 30, availability_id: availability.id, buffer_after: 15 })
+            ));
+
+            // Both inserts skip the service's conflict check, as two racing requests would
+            const results = await Promise.allSettled([
+                bookingsModel.createBooking({
+                    event_type_id: first.id,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date('2024-12-20T10:00:00Z'),
+                    end_time: new Date('2024-12-20T10:30:00Z'),
+                    date: '2024-12-20'
+                }),
+                bookingsModel.createBooking({
+                    event_type_id: second.id,
+                    client_email: 'other@example.com',
+                    name: 'Other User',
+                    start_time: new Date('2024-12-20T10:40:00Z'),
+                    end_time: new Date('2024-12-20T11:10:00Z'),
+                    date: '2024-12-20'
+                })
+            ]);
+
+            expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+            expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ code: '23P01' });
+        });
+
+        it('should allow rebooking a cancelled slot', async () => {
+            await bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20',
+                booking_status: 'cancelled'
+            });
+
+            const result = await bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'other@example.com',
+                name: 'Other User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            expect(result.booking_status).toBe('confirmed');
+        });
     });
 
     describe('Bookings Service', () => {
+        const createBooking = (overrides) => bookingsService.createBooking(bookingFixture(eventTypeId, overrides));
+
         it('should create booking with validation', async () => {
             const bookingData = {
                 event_type_id: eventTypeId,
@@ -203,6 +312,881 @@ describe('Bookings Module', () => {
             })).rejects.toThrow();
         });
 
+        it('should reschedule a booking and keep the original in history', async () => {
+            const original = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            // Overlaps the original's old time, which is released by the reschedule
+            const rescheduled = await bookingsService.rescheduleBooking(original.id, {
+                start_time: '2024-12-20T10:15:00Z',
+                end_time: '2024-12-20T10:45:00Z',
+                date: '2024-12-20',
+                reason: 'Running late',
+                rescheduled_by: 'attendee'
+            });
+
+            expect(rescheduled.id).not.toBe(original.id);
+            expect(rescheduled.rescheduled_from_booking_id).toBe(original.id);
+            expect(rescheduled.rescheduled_from.id).toBe(original.id);
+            expect(rescheduled.booking_status).toBe('confirmed');
+
+            const previous = await bookingsModel.findById(original.id);
+            expect(previous).toMatchObject({
+                booking_status: 'cancelled',
+                cancellation_reason: 'Rescheduled: Running late',
+                cancelled_by: 'attendee'
+            });
+            expect(previous.cancelled_at).toBeInstanceOf(Date);
+
+            // The new booking replaces the original, which can't be reactivated
+            await expect(bookingsService.updateBooking(original.id, { booking_status: 'confirmed' }))
+                .rejects.toMatchObject({ statusCode: 409, details: { rescheduled_to_booking_id: rescheduled.id } });
+
+            const history = await bookingsService.getBookingHistory(original.id);
+            expect(history).toHaveLength(1);
+            expect(history[0]).toMatchObject({
+                action: 'rescheduled',
+                booking_id: original.id,
+                new_booking_id: rescheduled.id,
+                previous_date: '2024-12-20',
+                reason: 'Running late'
+            });
+            expect(history[0].previous_start_time.toISOString()).toBe('2024-12-20T10:00:00.000Z');
+        });
+
+        it('should reject rescheduling into a conflicting time', async () => {
+            const original = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+            await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'other@example.com',
+                name: 'Other User',
+                start_time: new Date('2024-12-20T11:00:00Z'),
+                end_time: new Date('2024-12-20T11:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            await expect(bookingsService.rescheduleBooking(original.id, {
+                start_time: '2024-12-20T11:00:00Z',
+                end_time: '2024-12-20T11:30:00Z',
+                date: '2024-12-20'
+            })).rejects.toMatchObject({ statusCode: 409 });
+
+            const unchanged = await bookingsModel.findById(original.id);
+            expect(unchanged.booking_status).toBe('confirmed');
+        });
+
+        it('should cancel a booking and free its slot', async () => {
+            const booking = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            const cancelled = await bookingsService.cancelBooking(booking.id, {
+                reason: 'Schedule changed',
+                cancelled_by: 'attendee'
+            });
+
+            expect(cancelled.booking_status).toBe('cancelled');
+            expect(cancelled.cancellation_reason).toBe('Schedule changed');
+            expect(cancelled.cancelled_by).toBe('attendee');
+            expect(cancelled.cancelled_at).toBeInstanceOf(Date);
+
+            const history = await bookingsService.getBookingHistory(booking.id);
+            expect(history[0]).toMatchObject({ action: 'cancelled', reason: 'Schedule changed' });
+
+            const rebooked = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'other@example.com',
+                name: 'Other User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+            expect(rebooked.booking_status).toBe('confirmed');
+
+            await expect(bookingsService.cancelBooking(booking.id, {
+                reason: 'Again',
+                cancelled_by: 'host'
+            })).rejects.toMatchObject({ statusCode: 409 });
+        });
+
+        describe('Status transitions', () => {
+            const bookingAt = (hour, email = 'test@example.com') => bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: email,
+                name: 'Test User',
+                start_time: new Date(`2024-12-20T${hour}:00:00Z`),
+                end_time: new Date(`2024-12-20T${hour}:30:00Z`),
+                date: '2024-12-20'
+            });
+
+            it('should allow confirmed to completed once the booking has ended', async () => {
+                const booking = await bookingAt('10');
+
+                const updated = await bookingsService.updateBooking(booking.id, { booking_status: 'completed' });
+                expect(updated.booking_status).toBe('completed');
+
+                await expect(bookingsService.updateBooking(booking.id, { booking_status: 'confirmed' }))
+                    .rejects.toMatchObject({
+                        statusCode: 409,
+                        message: "Cannot change booking status from 'completed' to 'confirmed' ('completed' is a final status)"
+                    });
+            });
+
+            it('should not complete a booking that has not ended', async () => {
+                const start = new Date(Date.now() + 24 * 60 * 60 * 1000);
+                const booking = await bookingsService.createBooking({
+                    event_type_id: eventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: start,
+                    end_time: new Date(start.getTime() + 30 * 60 * 1000),
+                    date: start.toISOString().split('T')[0]
+                });
+
+                await expect(bookingsService.updateBooking(booking.id, { booking_status: 'completed' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should not allow pending to completed', async () => {
+                const booking = await bookingAt('10');
+                await bookingsService.cancelBooking(booking.id, { reason: 'Sick', cancelled_by: 'attendee' });
+                await bookingsService.updateBooking(booking.id, { booking_status: 'pending' });
+
+                await expect(bookingsService.updateBooking(booking.id, { booking_status: 'completed' }))
+                    .rejects.toThrow("Cannot change booking status from 'pending' to 'completed' (allowed: 'confirmed', 'cancelled', 'rejected')");
+            });
+
+            it('should only cancel through cancelBooking', async () => {
+                const booking = await bookingAt('10');
+
+                await expect(bookingsService.updateBooking(booking.id, { booking_status: 'cancelled' }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                expect((await bookingsModel.findById(booking.id)).booking_status).toBe('confirmed');
+            });
+
+            it('should re-check conflicts when reactivating a cancelled booking', async () => {
+                const booking = await bookingAt('10');
+                await bookingsService.cancelBooking(booking.id, { reason: 'Sick', cancelled_by: 'attendee' });
+                await bookingAt('10', 'other@example.com');
+
+                await expect(bookingsService.updateBooking(booking.id, { booking_status: 'confirmed' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+
+                const unchanged = await bookingsModel.findById(booking.id);
+                expect(unchanged.booking_status).toBe('cancelled');
+            });
+
+            it('should reactivate a cancelled booking when its slot is free', async () => {
+                const booking = await bookingAt('10');
+                await bookingsService.cancelBooking(booking.id, { reason: 'Sick', cancelled_by: 'attendee' });
+
+                const reactivated = await bookingsService.updateBooking(booking.id, { booking_status: 'confirmed' });
+                expect(reactivated.booking_status).toBe('confirmed');
+            });
+        });
+
+        describe('Host approval', () => {
+            const requestBooking = (hour, email = 'test@example.com') => bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: email,
+                name: 'Test User',
+                start_time: new Date(`2024-12-20T${hour}:00:00Z`),
+                end_time: new Date(`2024-12-20T${hour}:30:00Z`),
+                date: '2024-12-20',
+                booking_status: 'confirmed'
+            });
+
+            beforeEach(async () => {
+                await eventTypeModel.updateEventType(eventTypeId, { requires_confirmation: true });
+            });
+
+            it('should create pending bookings that still hold the slot', async () => {
+                const booking = await requestBooking('10');
+                expect(booking.booking_status).toBe('pending');
+
+                await expect(requestBooking('10', 'other@example.com'))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should approve a pending booking', async () => {
+                const booking = await requestBooking('10');
+
+                const approved = await bookingsService.approveBooking(booking.id);
+                expect(approved.booking_status).toBe('confirmed');
+
+                await expect(bookingsService.approveBooking(booking.id))
+                    .rejects.toThrow(`Only pending bookings can be approved (booking ${booking.id} is 'confirmed')`);
+            });
+
+            it('should reject a pending booking with a reason and free the slot', async () => {
+                const booking = await requestBooking('10');
+
+                const rejected = await bookingsService.rejectBooking(booking.id, { reason: 'Fully booked that week' });
+                expect(rejected.booking_status).toBe('rejected');
+                expect(rejected.rejection_reason).toBe('Fully booked that week');
+                expect(rejected.rejected_at).toBeInstanceOf(Date);
+
+                const history = await bookingsService.getBookingHistory(booking.id);
+                expect(history[0]).toMatchObject({ action: 'rejected', reason: 'Fully booked that week' });
+
+                const next = await requestBooking('10', 'other@example.com');
+                expect(next.booking_status).toBe('pending');
+            });
+        });
+
+        describe('Completion and no-shows', () => {
+            const bookingAt = (start, status = 'confirmed', email = 'test@example.com') => bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: email,
+                name: 'Test User',
+                start_time: start,
+                end_time: new Date(start.getTime() + 30 * 60 * 1000),
+                date: start.toISOString().split('T')[0],
+                booking_status: status
+            });
+
+            it('should complete confirmed bookings that have ended', async () => {
+                const past = await bookingAt(new Date('2024-12-20T10:00:00Z'));
+                const pending = await bookingAt(new Date('2024-12-20T11:00:00Z'), 'pending');
+                const future = await bookingAt(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+                const completed = await runCompletionSweep();
+
+                expect(completed.map(booking => booking.id)).toEqual([past.id]);
+                expect((await bookingsModel.findById(pending.id)).booking_status).toBe('pending');
+                expect((await bookingsModel.findById(future.id)).booking_status).toBe('confirmed');
+            });
+
+            it('should mark a past booking as no-show and filter by it', async () => {
+                const attended = await bookingAt(new Date('2024-12-20T10:00:00Z'), 'completed');
+                const missed = await bookingAt(new Date('2024-12-20T11:00:00Z'), 'completed', 'missed@example.com');
+
+                const updated = await bookingsService.markNoShow(missed.id, { no_show: true });
+                expect(updated.no_show).toBe(true);
+
+                const noShows = await bookingsService.getBookingsPage({ no_show: true });
+                expect(noShows.bookings.map(booking => booking.id)).toEqual([missed.id]);
+
+                const shows = await bookingsService.getBookingsPage({ no_show: false });
+                expect(shows.bookings.map(booking => booking.id)).toEqual([attended.id]);
+            });
+
+            it('should not mark a no-show before the booking starts', async () => {
+                const future = await bookingAt(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+                await expect(bookingsService.markNoShow(future.id, { no_show: true }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should report the no-show rate of completed bookings per event type', async () => {
+                await bookingAt(new Date('2024-12-20T10:00:00Z'), 'completed');
+                await bookingAt(new Date('2024-12-20T11:00:00Z'), 'completed');
+                await bookingAt(new Date('2024-12-20T12:00:00Z'), 'completed');
+                const missed = await bookingAt(new Date('2024-12-20T13:00:00Z'), 'completed');
+                await bookingAt(new Date('2024-12-20T14:00:00Z'), 'cancelled');
+                await bookingsService.markNoShow(missed.id, { no_show: true });
+
+                const rates = await bookingsService.getNoShowRates();
+                expect(rates).toEqual([{
+                    event_type_id: eventTypeId,
+                    event_type_name: 'test-event',
+                    completed_bookings: 4,
+                    no_shows: 1,
+                    no_show_rate: 0.25
+                }]);
+                expect(await bookingsService.getNoShowRates({ from: '2024-12-21' })).toEqual([]);
+            });
+        });
+
+        describe('Listing and pagination', () => {
+            const bookingAt = (start) => bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: start,
+                end_time: new Date(start.getTime() + 30 * 60 * 1000),
+                date: start.toISOString().split('T')[0],
+                booking_status: 'confirmed'
+            });
+
+            it('should page through bookings with cursors', async () => {
+                const created = [];
+                for (const day of ['2024-12-18', '2024-12-19', '2024-12-20', '2024-12-21', '2024-12-22']) {
+                    created.push(await bookingAt(new Date(`${day}T10:00:00Z`)));
+                }
+
+                const first = await bookingsService.getBookingsPage({}, { limit: 2 });
+                expect(first.bookings.map(booking => booking.id)).toEqual([created[4].id, created[3].id]);
+                expect(first.pagination).toMatchObject({ total: 5, limit: 2, sort: '-start_time', has_more: true });
+
+                const second = await bookingsService.getBookingsPage({}, { limit: 2, cursor: first.pagination.next_cursor });
+                expect(second.bookings.map(booking => booking.id)).toEqual([created[2].id, created[1].id]);
+
+                const last = await bookingsService.getBookingsPage({}, { limit: 2, cursor: second.pagination.next_cursor });
+                expect(last.bookings.map(booking => booking.id)).toEqual([created[0].id]);
+                expect(last.pagination).toMatchObject({ has_more: false, next_cursor: null });
+            });
+
+            it('should filter by an inclusive date range', async () => {
+                await bookingAt(new Date('2024-12-18T10:00:00Z'));
+                const inside = await bookingAt(new Date('2024-12-19T10:00:00Z'));
+                const lastDay = await bookingAt(new Date('2024-12-20T10:00:00Z'));
+                await bookingAt(new Date('2024-12-21T10:00:00Z'));
+
+                const page = await bookingsService.getBookingsPage(
+                    { from: '2024-12-19', to: '2024-12-20' },
+                    { sort: 'start_time' }
+                );
+                expect(page.bookings.map(booking => booking.id)).toEqual([inside.id, lastDay.id]);
+                expect(page.pagination.total).toBe(2);
+            });
+
+            it('should split upcoming and past bookings', async () => {
+                const past = await bookingAt(new Date('2024-12-20T10:00:00Z'));
+                const later = await bookingAt(new Date(Date.now() + 48 * 60 * 60 * 1000));
+                const soon = await bookingAt(new Date(Date.now() + 24 * 60 * 60 * 1000));
+
+                const upcoming = await bookingsService.getBookingsPage({ upcoming: true });
+                expect(upcoming.bookings.map(booking => booking.id)).toEqual([soon.id, later.id]);
+                expect(upcoming.pagination.sort).toBe('start_time');
+
+                const history = await bookingsService.getBookingsPage({ past: true });
+                expect(history.bookings.map(booking => booking.id)).toEqual([past.id]);
+            });
+
+            it('should reject a cursor issued for another sort order', async () => {
+                await bookingAt(new Date('2024-12-19T10:00:00Z'));
+                await bookingAt(new Date('2024-12-20T10:00:00Z'));
+
+                const first = await bookingsService.getBookingsPage({}, { limit: 1 });
+
+                await expect(bookingsService.getBookingsPage({}, { limit: 1, sort: 'created_at', cursor: first.pagination.next_cursor }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                await expect(bookingsService.getBookingsPage({}, { cursor: 'not-a-cursor' }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+            });
+
+            it('should 404 when listing bookings of a missing event type', async () => {
+                await expect(bookingsService.getBookingsPageByEventTypeId(99999))
+                    .rejects.toMatchObject({ statusCode: 404 });
+            });
+        });
+
+        describe('Search', () => {
+            const bookingWith = (hour, fields) => bookingsModel.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date(`2024-12-20T${hour}:00:00Z`),
+                end_time: new Date(`2024-12-20T${hour}:30:00Z`),
+                date: '2024-12-20',
+                booking_status: 'confirmed',
+                ...fields
+            });
+
+            it('should find bookings by name, email or notes fragments', async () => {
+                const jane = await bookingWith('10', { name: 'Jane Doe', client_email: 'jane@acme.io' });
+                const notes = await bookingWith('11', { additional_notes: 'Quarterly roadmap review' });
+
+                expect((await bookingsService.searchBookings('jan')).map(booking => booking.id)).toEqual([jane.id]);
+                expect((await bookingsService.searchBookings('acme')).map(booking => booking.id)).toEqual([jane.id]);
+                expect((await bookingsService.searchBookings('roadm')).map(booking => booking.id)).toEqual([notes.id]);
+                expect(await bookingsService.searchBookings('nobody')).toEqual([]);
+            });
+
+            it('should rank name matches above notes matches and apply filters', async () => {
+                const inNotes = await bookingWith('10', { additional_notes: 'Call about Smith account' });
+                const byName = await bookingWith('11', { name: 'Alex Smith' });
+                await bookingWith('12', { name: 'Sam Smith', booking_status: 'cancelled' });
+
+                const results = await bookingsService.searchBookings('smith', { booking_status: 'confirmed' });
+                expect(results.map(booking => booking.id)).toEqual([byName.id, inNotes.id]);
+            });
+
+            it('should find bookings by a guest or seat holder', async () => {
+                const withGuest = await bookingWith('10', {});
+                const withSeat = await bookingWith('11', {});
+                await bookingsModel.addAttendee(withGuest.id, { email: 'priya@partner.dev', name: 'Priya Patel' });
+                await bookingsModel.addSeat(withSeat.id, { client_email: 'omar@example.com', name: 'Omar Haddad' }, 5);
+
+                expect((await bookingsService.searchBookings('patel')).map(booking => booking.id)).toEqual([withGuest.id]);
+                expect((await bookingsService.searchBookings('partner')).map(booking => booking.id)).toEqual([withGuest.id]);
+                expect((await bookingsService.searchBookings('omar hadd')).map(booking => booking.id)).toEqual([withSeat.id]);
+            });
+
+            it('should reject a query without letters or digits', async () => {
+                await expect(bookingsService.searchBookings('&|!'))
+                    .rejects.toMatchObject({ statusCode: 400 });
+            });
+        });
+
+        describe('Recurring series', () => {
+            const weeklySeries = (count = 4) => bookingsService.createBookingSeries({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: '2024-12-02T10:00:00.000Z',
+                end_time: '2024-12-02T10:30:00.000Z',
+                date: '2024-12-02',
+                recurrence: { frequency: 'weekly', interval: 1, count }
+            });
+
+            it('should create a linked weekly series', async () => {
+                const series = await weeklySeries();
+
+                expect(series).toMatchObject({ frequency: 'weekly', interval: 1, count: 4 });
+                expect(series.bookings.map(booking => booking.date)).toEqual([
+                    '2024-12-02', '2024-12-09', '2024-12-16', '2024-12-23'
+                ]);
+                expect(series.bookings.every(booking => booking.series_id === series.id)).toBe(true);
+                expect(series.bookings.map(booking => booking.series_occurrence)).toEqual([1, 2, 3, 4]);
+            });
+
+            it('should keep the local time across DST changes', () => {
+                const occurrences = bookingsService.buildSeriesOccurrences({
+                    start_time: '2030-03-04T14:00:00.000Z', // 09:00 EST
+                    end_time: '2030-03-04T14:30:00.000Z',
+                    date: '2030-03-04'
+                }, { frequency: 'weekly', interval: 1, count: 2 }, 'America/New_York');
+
+                // DST starts on 2030-03-10, so 09:00 EDT is 13:00 UTC
+                expect(occurrences[1]).toMatchObject({
+                    start_time: '2030-03-11T13:00:00.000Z',
+                    end_time: '2030-03-11T13:30:00.000Z',
+                    date: '2030-03-11'
+                });
+            });
+
+            it('should report conflicting occurrences and create nothing', async () => {
+                await bookingsService.createBooking({
+                    event_type_id: eventTypeId,
+                    client_email: 'other@example.com',
+                    name: 'Other User',
+                    start_time: new Date('2024-12-16T10:15:00Z'),
+                    end_time: new Date('2024-12-16T10:45:00Z'),
+                    date: '2024-12-16'
+                });
+
+                const error = await weeklySeries().catch(err => err);
+
+                expect(error.statusCode).toBe(409);
+                expect(error.details.conflicts).toHaveLength(1);
+                expect(error.details.conflicts[0]).toMatchObject({
+                    series_occurrence: 3,
+                    start_time: '2024-12-16T10:00:00.000Z'
+                });
+                expect(await bookingsModel.findAll()).toHaveLength(1);
+            });
+
+            it('should reject rules with too many occurrences', async () => {
+                await expect(bookingsService.createBookingSeries({
+                    event_type_id: eventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: '2024-01-01T10:00:00.000Z',
+                    end_time: '2024-01-01T10:30:00.000Z',
+                    date: '2024-01-01',
+                    recurrence: { frequency: 'daily', interval: 1, until: '2024-12-31' }
+                })).rejects.toMatchObject({ statusCode: 400 });
+            });
+
+            it('should cancel this and following occurrences', async () => {
+                const series = await weeklySeries();
+
+                const cancelled = await bookingsService.cancelBooking(series.bookings[1].id, {
+                    reason: 'Project ended',
+                    cancelled_by: 'attendee',
+                    scope: 'following'
+                });
+
+                expect(cancelled.affected_booking_ids).toEqual(series.bookings.slice(1).map(booking => booking.id));
+                const remaining = await bookingsModel.findAll({ series_id: series.id, booking_status: 'confirmed' });
+                expect(remaining.map(booking => booking.id)).toEqual([series.bookings[0].id]);
+            });
+
+            it('should reschedule this and following occurrences', async () => {
+                const series = await weeklySeries(3);
+
+                const rescheduled = await bookingsService.rescheduleBooking(series.bookings[1].id, {
+                    start_time: '2024-12-10T11:00:00.000Z',
+                    end_time: '2024-12-10T11:30:00.000Z',
+                    date: '2024-12-10',
+                    scope: 'following'
+                });
+
+                expect(rescheduled.affected_booking_ids).toHaveLength(2);
+                const active = await bookingsModel.findSeriesBookings(series.id);
+                const confirmed = active
+                    .filter(booking => booking.booking_status === 'confirmed')
+                    .map(booking => [booking.series_occurrence, booking.start_time.toISOString()]);
+                expect(confirmed).toEqual([
+                    [1, '2024-12-02T10:00:00.000Z'],
+                    [2, '2024-12-10T11:00:00.000Z'],
+                    [3, '2024-12-17T11:00:00.000Z']
+                ]);
+            });
+        });
+
+        describe('Slot holds', () => {
+            it('should block a held slot for everyone but the token holder', async () => {
+                const reservation = await bookingsService.reserveSlot(eventTypeId, { ...TEST_SLOT, ttl_minutes: 5 });
+                expect(reservation.reservation_token).toMatch(/^[0-9a-f-]{36}$/);
+
+                expect(await bookingsModel.checkConflict(eventTypeId, TEST_SLOT.date, TEST_SLOT.start_time, TEST_SLOT.end_time)).toBe(true);
+                expect(await bookingsModel.checkConflict(
+                    eventTypeId, TEST_SLOT.date, TEST_SLOT.start_time, TEST_SLOT.end_time, null, reservation.reservation_token
+                )).toBe(false);
+
+                await expect(createBooking()).rejects.toMatchObject({
+                    statusCode: 409,
+                    details: { conflicting_reservation: { start_time: TEST_SLOT.start_time } }
+                });
+                await expect(bookingsService.reserveSlot(eventTypeId, TEST_SLOT))
+                    .rejects.toMatchObject({ statusCode: 409 });
+
+                const booking = await createBooking({ reservation_token: reservation.reservation_token });
+                expect(booking.booking_status).toBe('confirmed');
+                const { rowCount } = await bookingsModel.pool.query(
+                    'SELECT id FROM slot_reservations WHERE id = $1', [reservation.id]
+                );
+                expect(rowCount).toBe(0);
+            });
+
+            it('should only honour a token for the slot it was issued for', async () => {
+                const reservation = await bookingsService.reserveSlot(eventTypeId, TEST_SLOT);
+                const laterSlot = {
+                    start_time: '2024-12-20T10:15:00.000Z',
+                    end_time: '2024-12-20T10:45:00.000Z',
+                    reservation_token: reservation.reservation_token
+                };
+
+                expect(await bookingsModel.checkConflict(
+                    eventTypeId, TEST_SLOT.date, laterSlot.start_time, laterSlot.end_time, null, reservation.reservation_token
+                )).toBe(true);
+                await expect(createBooking(laterSlot)).rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should reject a booking that skips the service check on a held slot', async () => {
+                await bookingsService.reserveSlot(eventTypeId, TEST_SLOT);
+
+                await expect(bookingsModel.createBooking(bookingFixture(eventTypeId)))
+                    .rejects.toMatchObject({ code: '23P01' });
+                await expect(bookingsModel.createBooking(bookingFixture(eventTypeId, {
+                    reservation_token: '00000000-0000-4000-8000-000000000000'
+                }))).rejects.toMatchObject({ code: '23P01' });
+            });
+
+            it('should let only one of two concurrent holds on a slot through', async () => {
+                const results = await Promise.allSettled([
+                    bookingsService.reserveSlot(eventTypeId, TEST_SLOT),
+                    bookingsService.reserveSlot(eventTypeId, TEST_SLOT)
+                ]);
+
+                expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+                expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+            });
+
+            it('should stop blocking once the hold expires and clean it up', async () => {
+                const reservation = await bookingsService.reserveSlot(eventTypeId, { ...TEST_SLOT, ttl_minutes: 1 });
+                await bookingsModel.pool.query(
+                    `UPDATE slot_reservations SET expires_at = $2 WHERE id = $1`,
+                    [reservation.id, new Date(Date.now() - 1000)]
+                );
+
+                expect(await bookingsModel.checkConflict(eventTypeId, TEST_SLOT.date, TEST_SLOT.start_time, TEST_SLOT.end_time)).toBe(false);
+                expect(await runReservationCleanup()).toBe(1);
+            });
+        });
+
+        describe('Waitlist', () => {
+            const joinWaitlist = (email) => bookingsService.joinWaitlist(
+                bookingFixture(eventTypeId, { client_email: email, name: 'Waiting' })
+            );
+            const findEntry = async (entryId) => bookingsModel.findWaitlistEntryById(entryId);
+
+            it('should only join the waitlist of a taken slot', async () => {
+                await expect(joinWaitlist('second@example.com')).rejects.toMatchObject({ statusCode: 409 });
+
+                await createBooking();
+                const second = await joinWaitlist('second@example.com');
+                const third = await joinWaitlist('third@example.com');
+                expect(second).toMatchObject({ waitlist_status: 'waiting', position: 1, date: '2024-12-20' });
+                expect(third.position).toBe(2);
+
+                await expect(joinWaitlist('second@example.com')).rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should offer a cancelled slot to the first in line as a pending booking', async () => {
+                const booking = await createBooking();
+                const second = await joinWaitlist('second@example.com');
+                const third = await joinWaitlist('third@example.com');
+
+                await bookingsService.cancelBooking(booking.id, { reason: 'Conflict', cancelled_by: 'attendee' });
+
+                const offered = await findEntry(second.id);
+                expect(offered.waitlist_status).toBe('offered');
+                expect(offered.offer_expires_at).toBeInstanceOf(Date);
+                expect((await findEntry(third.id)).waitlist_status).toBe('waiting');
+
+                const offer = await bookingsService.getBookingById(offered.offered_booking_id);
+                expect(offer).toMatchObject({ booking_status: 'pending', client_email: 'second@example.com' });
+
+                const confirmed = await bookingsService.updateBooking(offer.id, { booking_status: 'confirmed' });
+                expect(confirmed.booking_status).toBe('confirmed');
+                expect((await findEntry(second.id)).waitlist_status).toBe('accepted');
+            });
+
+            it('should pass an expired offer to the next in line', async () => {
+                const booking = await createBooking();
+                const second = await joinWaitlist('second@example.com');
+                const third = await joinWaitlist('third@example.com');
+                await bookingsService.cancelBooking(booking.id, { reason: 'Conflict', cancelled_by: 'attendee' });
+
+                const { offered_booking_id: expiredBookingId } = await findEntry(second.id);
+                await bookingsModel.pool.query(
+                    'UPDATE waitlist_entries SET offer_expires_at = $2 WHERE id = $1',
+                    [second.id, new Date(Date.now() - 1000)]
+                );
+
+                await expect(bookingsService.updateBooking(expiredBookingId, { booking_status: 'confirmed' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+
+                const expired = await runWaitlistOfferExpiry();
+                expect(expired.map(entry => entry.id)).toEqual([second.id]);
+                expect((await findEntry(second.id)).waitlist_status).toBe('expired');
+                expect((await bookingsModel.findById(expiredBookingId)).booking_status).toBe('cancelled');
+
+                const next = await findEntry(third.id);
+                expect(next.waitlist_status).toBe('offered');
+                expect((await bookingsModel.findById(next.offered_booking_id)).client_email).toBe('third@example.com');
+            });
+
+            it('should move an open offer to the rescheduled booking', async () => {
+                const booking = await createBooking();
+                const second = await joinWaitlist('second@example.com');
+                await bookingsService.cancelBooking(booking.id, { reason: 'Conflict', cancelled_by: 'attendee' });
+
+                const { offered_booking_id: offerId } = await findEntry(second.id);
+                const moved = await bookingsService.rescheduleBooking(offerId, {
+                    start_time: '2024-12-20T11:00:00.000Z',
+                    end_time: '2024-12-20T11:30:00.000Z'
+                });
+
+                const entry = await findEntry(second.id);
+                expect(entry).toMatchObject({ waitlist_status: 'offered', offered_booking_id: moved.id });
+
+                await bookingsModel.pool.query(
+                    'UPDATE waitlist_entries SET offer_expires_at = $2 WHERE id = $1',
+                    [second.id, new Date(Date.now() - 1000)]
+                );
+                await runWaitlistOfferExpiry();
+                expect((await findEntry(second.id)).waitlist_status).toBe('expired');
+                expect((await bookingsModel.findById(moved.id)).booking_status).toBe('cancelled');
+            });
+
+            it('should let a waiting booker leave the waitlist', async () => {
+                await createBooking();
+                const second = await joinWaitlist('second@example.com');
+
+                const left = await bookingsService.leaveWaitlist(second.id);
+                expect(left.waitlist_status).toBe('left');
+                await expect(bookingsService.leaveWaitlist(second.id)).rejects.toMatchObject({ statusCode: 409 });
+            });
+        });
+
+        describe('Booking questions', () => {
+            beforeEach(async () => {
+                await eventTypeModel.updateEventType(eventTypeId, {
+                    booking_questions: [
+                        { name: 'company', label: 'Company', type: 'text', required: true },
+                        { name: 'team_size', label: 'Team size', type: 'select', options: ['1-10', '11-50'], required: false },
+                        { name: 'terms', label: 'Terms', type: 'checkbox', required: true },
+                        { name: 'phone', label: 'Phone', type: 'phone', required: false }
+                    ]
+                });
+            });
+
+            it('should store valid answers alongside the notes', async () => {
+                const booking = await createBooking({
+                    additional_notes: 'See you then',
+                    responses: { company: ' Acme ', terms: true, phone: '+44 20 7946 0958' }
+                });
+
+                const fetched = await bookingsService.getBookingById(booking.id);
+                expect(fetched.additional_notes).toBe('See you then');
+                expect(fetched.responses).toEqual({ company: 'Acme', terms: true, phone: '+44 20 7946 0958' });
+            });
+
+            it('should reject missing, invalid and unknown answers', async () => {
+                await expect(createBooking()).rejects.toMatchObject({
+                    statusCode: 400,
+                    details: {
+                        errors: [
+                            { field: 'responses.company', message: 'Company is required' },
+                            { field: 'responses.terms', message: 'Terms is required' }
+                        ]
+                    }
+                });
+
+                await expect(createBooking({ responses: { company: 'Acme', terms: true, team_size: '500' } }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                await expect(createBooking({ responses: { company: 'Acme', terms: false } }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                await expect(createBooking({ responses: { company: 'Acme', terms: true, phone: 'call me' } }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+                await expect(createBooking({ responses: { company: 'Acme', terms: true, favourite_colour: 'blue' } }))
+                    .rejects.toMatchObject({ statusCode: 400 });
+            });
+        });
+
+        describe('Guests', () => {
+            it('should add guests and return them with the booking', async () => {
+                const booking = await createBooking();
+                expect(booking.attendees).toEqual([]);
+
+                const guest = await bookingsService.addAttendee(booking.id, { email: 'guest@example.com', name: 'Guest' });
+                expect(guest).toMatchObject({ booking_id: booking.id, email: 'guest@example.com' });
+
+                const enriched = await bookingsService.getBookingById(booking.id);
+                expect(enriched.attendees.map(attendee => attendee.email)).toEqual(['guest@example.com']);
+
+                await expect(bookingsService.addAttendee(booking.id, { email: 'guest@example.com', name: 'Guest' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+                await expect(bookingsService.addAttendee(booking.id, { email: 'Guest@Example.com', name: 'Guest' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+                await expect(bookingsService.addAttendee(booking.id, { email: 'test@example.com', name: 'Test User' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should remove a guest', async () => {
+                const booking = await createBooking();
+                const guest = await bookingsService.addAttendee(booking.id, { email: 'guest@example.com', name: 'Guest' });
+
+                const removed = await bookingsService.removeAttendee(booking.id, guest.id);
+                expect(removed.id).toBe(guest.id);
+                expect(await bookingsService.getAttendees(booking.id)).toEqual([]);
+
+                await expect(bookingsService.removeAttendee(booking.id, guest.id))
+                    .rejects.toMatchObject({ statusCode: 404 });
+            });
+
+            it('should keep guests when a booking is rescheduled', async () => {
+                const booking = await createBooking();
+                await bookingsService.addAttendee(booking.id, { email: 'guest@example.com', name: 'Guest' });
+
+                const rescheduled = await bookingsService.rescheduleBooking(booking.id, {
+                    start_time: '2024-12-20T11:00:00.000Z',
+                    end_time: '2024-12-20T11:30:00.000Z',
+                    date: '2024-12-20'
+                });
+                expect(rescheduled.attendees.map(attendee => attendee.email)).toEqual(['guest@example.com']);
+            });
+
+            it('should not add or remove guests of a cancelled booking', async () => {
+                const booking = await createBooking();
+                const guest = await bookingsService.addAttendee(booking.id, { email: 'guest@example.com', name: 'Guest' });
+                await bookingsService.cancelBooking(booking.id, { reason: 'Plans changed', cancelled_by: 'attendee' });
+
+                await expect(bookingsService.addAttendee(booking.id, { email: 'other@example.com', name: 'Other' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+                await expect(bookingsService.removeAttendee(booking.id, guest.id))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+        });
+
+        describe('Seated event types', () => {
+            const bookSeat = (email, hour = '10') => bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: email,
+                name: 'Workshop Attendee',
+                start_time: `2024-12-20T${hour}:00:00.000Z`,
+                end_time: `2024-12-20T${hour}:30:00.000Z`,
+                date: '2024-12-20'
+            });
+
+            beforeEach(async () => {
+                await eventTypeModel.updateEventType(eventTypeId, { seats_per_slot: 2 });
+            });
+
+            it('should share a slot until its seats are taken', async () => {
+                const first = await bookSeat('a@example.com');
+                expect(first).toMatchObject({ seats_per_slot: 2, seats_booked: 1, seats_remaining: 1 });
+
+                const second = await bookSeat('b@example.com');
+                expect(second.id).toBe(first.id);
+                expect(second.seat.client_email).toBe('b@example.com');
+                expect(second.seats_remaining).toBe(0);
+
+                await expect(bookSeat('c@example.com'))
+                    .rejects.toMatchObject({ statusCode: 409, details: { seats_remaining: 0 } });
+                await expect(bookSeat('a@example.com', '10'))
+                    .rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should not let a seated slot overlap other bookings', async () => {
+                await bookSeat('a@example.com');
+
+                await expect(bookingsService.createBooking({
+                    event_type_id: eventTypeId,
+                    client_email: 'b@example.com',
+                    name: 'Workshop Attendee',
+                    start_time: '2024-12-20T10:15:00.000Z',
+                    end_time: '2024-12-20T10:45:00.000Z',
+                    date: '2024-12-20'
+                })).rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should cancel one seat and cancel the booking with its last seat', async () => {
+                const first = await bookSeat('a@example.com');
+                const second = await bookSeat('b@example.com');
+
+                const afterFirst = await bookingsService.cancelSeat(first.id, first.seat.id, { reason: 'Sick' });
+                expect(afterFirst.booking_status).toBe('confirmed');
+                expect(afterFirst.seat.seat_status).toBe('cancelled');
+                expect(afterFirst.seats_remaining).toBe(1);
+
+                await expect(bookingsService.cancelSeat(first.id, first.seat.id, { reason: 'Sick' }))
+                    .rejects.toMatchObject({ statusCode: 409 });
+
+                const afterLast = await bookingsService.cancelSeat(first.id, second.seat.id, { reason: 'Travel' });
+                expect(afterLast.booking_status).toBe('cancelled');
+                expect(afterLast.cancelled_by).toBe('attendee');
+
+                const reopened = await bookSeat('c@example.com');
+                expect(reopened.id).not.toBe(first.id);
+            });
+
+            it('should not create recurring series', async () => {
+                await expect(bookingsService.createBookingSeries({
+                    event_type_id: eventTypeId,
+                    client_email: 'a@example.com',
+                    name: 'Workshop Attendee',
+                    start_time: '2024-12-02T10:00:00.000Z',
+                    end_time: '2024-12-02T10:30:00.000Z',
+                    date: '2024-12-02',
+                    recurrence: { frequency: 'weekly', interval: 1, count: 2 }
+                })).rejects.toMatchObject({ statusCode: 400 });
+            });
+        });
+
         it('should get all bookings', async () => {
             await bookingsService.createBooking({
                 event_type_id: eventTypeId,
@@ -213,7 +1197,7 @@ describe('Bookings Module', () => {
                 date: '2024-12-20'
             });
 
-            const bookings = await bookingsService.getAllBookings();
+            const { bookings } = await bookingsService.getBookingsPage();
             expect(bookings.length).toBeGreaterThan(0);
         });
 
@@ -227,7 +1211,7 @@ describe('Bookings Module', () => {
                 date: '2024-12-20'
             });
 
-            const bookings = await bookingsService.getBookingsByEventTypeId(eventTypeId);
+            const { bookings } = await bookingsService.getBookingsPageByEventTypeId(eventTypeId);
             expect(bookings.length).toBeGreaterThan(0);
         });
 
@@ -262,6 +1246,468 @@ describe('Bookings Module', () => {
             expect(result).toBeDefined();
             expect(result.message).toBe('Booking deleted successfully');
         });
+
+        it('should enforce minimum booking notice', async () => {
+            await eventTypeModel.updateEventType(eventTypeId, { minimum_notice_minutes: 120 });
+            const startTime = new Date(Date.now() + 30 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 30 * 60 * 1000);
+
+            await expect(bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: startTime,
+                end_time: endTime,
+                date: startTime.toISOString().split('T')[0]
+            })).rejects.toMatchObject({
+                statusCode: 422,
+                message: expect.stringContaining('at least 120 minutes in advance')
+            });
+        });
+
+        it('should enforce the rolling booking horizon on create and update', async () => {
+            await eventTypeModel.updateEventType(eventTypeId, { max_days_in_future: 30 });
+            const startTime = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000);
+            const endTime = new Date(startTime.getTime() + 30 * 60 * 1000);
+
+            await expect(bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: startTime,
+                end_time: endTime,
+                date: startTime.toISOString().split('T')[0]
+            })).rejects.toMatchObject({
+                statusCode: 422,
+                message: expect.stringContaining('at most 30 days in advance')
+            });
+
+            const soon = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const created = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: soon,
+                end_time: new Date(soon.getTime() + 30 * 60 * 1000),
+                date: soon.toISOString().split('T')[0]
+            });
+
+            await expect(bookingsService.updateBooking(created.id, {
+                start_time: startTime.toISOString(),
+                end_time: endTime.toISOString(),
+                date: startTime.toISOString().split('T')[0]
+            })).rejects.toMatchObject({ statusCode: 422 });
+        });
+
+        it('should enforce the per-day booking cap', async () => {
+            await eventTypeModel.updateEventType(eventTypeId, { max_bookings_per_day: 1 });
+            await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            await expect(bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-20T15:00:00Z'),
+                end_time: new Date('2024-12-20T15:30:00Z'),
+                date: '2024-12-20'
+            })).rejects.toMatchObject({
+                statusCode: 409,
+                message: expect.stringContaining('at most 1 bookings per day')
+            });
+
+            // The next day has its own quota
+            const nextDay = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-21T15:00:00Z'),
+                end_time: new Date('2024-12-21T15:30:00Z'),
+                date: '2024-12-21'
+            });
+            expect(nextDay.id).toBeDefined();
+        });
+
+        it('should enforce the per-week booking cap and ignore cancelled bookings', async () => {
+            await eventTypeModel.updateEventType(eventTypeId, { max_bookings_per_week: 1 });
+            // 2024-12-16 is a Monday, 2024-12-22 the Sunday of the same week
+            const first = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-16T10:00:00Z'),
+                end_time: new Date('2024-12-16T10:30:00Z'),
+                date: '2024-12-16'
+            });
+
+            await expect(bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-22T10:00:00Z'),
+                end_time: new Date('2024-12-22T10:30:00Z'),
+                date: '2024-12-22'
+            })).rejects.toMatchObject({ statusCode: 409 });
+
+            await bookingsModel.updateBooking(first.id, { booking_status: 'cancelled' });
+
+            const second = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-22T10:00:00Z'),
+                end_time: new Date('2024-12-22T10:30:00Z'),
+                date: '2024-12-22'
+            });
+            expect(second.id).toBeDefined();
+        });
+
+        it('should detect conflicts across event types of the same host', async () => {
+            const availability = await availabilityModel.createAvailability({ name: 'Shared', timezone: 'UTC' });
+            const intro = await eventTypeModel.createEventType({ name: 'intro', duration: 30, user_id: 7 });
+            const demo = await eventTypeModel.createEventType({ name: 'demo', duration: 30, user_id: 7 });
+            const sharedA = await eventTypeModel.createEventType({ name: 'shared-a', duration: 30, availability_id: availability.id });
+            const sharedB = await eventTypeModel.createEventType({ name: 'shared-b', duration: 30, availability_id: availability.id });
+            await availabilityModel.updateAvailability(availability.id, {
+                intervals: [{ day_of_week: 5, start_time: '00:00:00', end_time: '23:59:59' }]
+            });
+
+            const introBooking = await bookingsService.createBooking({
+                event_type_id: intro.id,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+            await bookingsService.createBooking({
+                event_type_id: sharedA.id,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date('2024-12-20T12:00:00Z'),
+                end_time: new Date('2024-12-20T12:30:00Z'),
+                date: '2024-12-20'
+            });
+
+            // Same owner user_id
+            await expect(bookingsService.createBooking({
+                event_type_id: demo.id,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-20T10:15:00Z'),
+                end_time: new Date('2024-12-20T10:45:00Z'),
+                date: '2024-12-20'
+            })).rejects.toMatchObject({
+                statusCode: 409,
+                message: expect.stringContaining(`booking ${introBooking.id}`),
+                details: { conflicting_booking: { id: introBooking.id } }
+            });
+
+            // Same availability
+            await expect(bookingsService.createBooking({
+                event_type_id: sharedB.id,
+                client_email: 'test2@example.com',
+                name: 'Test User 2',
+                start_time: new Date('2024-12-20T12:00:00Z'),
+                end_time: new Date('2024-12-20T12:30:00Z'),
+                date: '2024-12-20'
+            })).rejects.toMatchObject({ statusCode: 409 });
+
+            // Unrelated event type is not blocked
+            const unrelated = await bookingsService.createBooking({
+                event_type_id: eventTypeId,
+                client_email: 'test3@example.com',
+                name: 'Test User 3',
+                start_time: new Date('2024-12-20T10:00:00Z'),
+                end_time: new Date('2024-12-20T10:30:00Z'),
+                date: '2024-12-20'
+            });
+            expect(unrelated.id).toBeDefined();
+        });
+
+        describe('Availability enforcement', () => {
+            let businessEventTypeId;
+
+            beforeEach(async () => {
+                const availability = await availabilityModel.createAvailability({
+                    name: 'Business Hours',
+                    timezone: 'UTC',
+                    intervals: [1, 2, 3, 4, 5].map(day => ({
+                        day_of_week: day,
+                        start_time: '09:00:00',
+                        end_time: '17:00:00'
+                    }))
+                });
+                const eventType = await eventTypeModel.createEventType({
+                    name: 'business-event',
+                    duration: 30,
+                    availability_id: availability.id
+                });
+                businessEventTypeId = eventType.id;
+            });
+
+            it('should accept a booking inside an interval', async () => {
+                const monday = futureDateForDay(1);
+                const result = await bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T16:30:00Z`),
+                    end_time: new Date(`${monday}T17:00:00Z`),
+                    date: monday
+                });
+
+                expect(result.id).toBeDefined();
+            });
+
+            it('should reject a booking on a day without intervals with 422', async () => {
+                const sunday = futureDateForDay(7);
+                await expect(bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${sunday}T03:00:00Z`),
+                    end_time: new Date(`${sunday}T03:30:00Z`),
+                    date: sunday
+                })).rejects.toMatchObject({
+                    statusCode: 422,
+                    message: expect.stringContaining('Sunday')
+                });
+            });
+
+            it('should reject a booking that runs past the end of an interval', async () => {
+                const monday = futureDateForDay(1);
+                await expect(bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T16:45:00Z`),
+                    end_time: new Date(`${monday}T17:15:00Z`),
+                    date: monday
+                })).rejects.toMatchObject({ statusCode: 422 });
+            });
+
+            it('should interpret intervals in the availability timezone', async () => {
+                const availability = await availabilityModel.createAvailability({
+                    name: 'New York Hours',
+                    timezone: 'America/New_York',
+                    intervals: [
+                        { day_of_week: 1, start_time: '09:00:00', end_time: '17:00:00' }
+                    ]
+                });
+                const eventType = await eventTypeModel.createEventType({
+                    name: 'new-york-event',
+                    duration: 30,
+                    availability_id: availability.id
+                });
+                const monday = futureDateForDay(1);
+
+                // 09:00 UTC is before business hours in New York (UTC-4/-5)
+                await expect(bookingsService.createBooking({
+                    event_type_id: eventType.id,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T09:00:00Z`),
+                    end_time: new Date(`${monday}T09:30:00Z`),
+                    date: monday
+                })).rejects.toMatchObject({ statusCode: 422 });
+
+                // 20:00 UTC is 15:00 or 16:00 in New York
+                const result = await bookingsService.createBooking({
+                    event_type_id: eventType.id,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T20:00:00Z`),
+                    end_time: new Date(`${monday}T20:30:00Z`),
+                    date: monday
+                });
+                expect(result.timezone).toBe('America/New_York');
+            });
+
+            it('should respect date overrides', async () => {
+                const monday = futureDateForDay(1);
+                const saturday = futureDateForDay(6);
+                const eventType = await eventTypeModel.findById(businessEventTypeId);
+                await availabilityModel.addOverride(eventType.availability_id, { date: monday });
+                await availabilityModel.addOverride(eventType.availability_id, {
+                    date: saturday,
+                    start_time: '10:00:00',
+                    end_time: '12:00:00'
+                });
+
+                await expect(bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T10:00:00Z`),
+                    end_time: new Date(`${monday}T10:30:00Z`),
+                    date: monday
+                })).rejects.toMatchObject({
+                    statusCode: 422,
+                    message: expect.stringContaining(monday)
+                });
+
+                const result = await bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${saturday}T10:00:00Z`),
+                    end_time: new Date(`${saturday}T10:30:00Z`),
+                    date: saturday
+                });
+                expect(result.id).toBeDefined();
+            });
+
+            it('should reject bookings during an out-of-office period with 409', async () => {
+                const monday = futureDateForDay(1);
+                const eventType = await eventTypeModel.findById(businessEventTypeId);
+                await availabilityModel.addOutOfOffice(eventType.availability_id, {
+                    start_date: monday,
+                    end_date: monday,
+                    reason: 'Conference'
+                });
+
+                await expect(bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T10:00:00Z`),
+                    end_time: new Date(`${monday}T10:30:00Z`),
+                    date: monday
+                })).rejects.toMatchObject({
+                    statusCode: 409,
+                    message: `Host is out of office from ${monday} to ${monday} (Conference)`
+                });
+            });
+
+            it('should reject an update that moves the booking outside availability', async () => {
+                const monday = futureDateForDay(1);
+                const created = await bookingsService.createBooking({
+                    event_type_id: businessEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: new Date(`${monday}T10:00:00Z`),
+                    end_time: new Date(`${monday}T10:30:00Z`),
+                    date: monday
+                });
+
+                await expect(bookingsService.updateBooking(created.id, {
+                    start_time: `${monday}T20:00:00.000Z`,
+                    end_time: `${monday}T20:30:00.000Z`
+                })).rejects.toMatchObject({ statusCode: 422 });
+            });
+        });
+
+        describe('Booking dates', () => {
+            let newYorkEventTypeId;
+            beforeEach(async () => {
+                const availability = await availabilityModel.createAvailability({
+                    name: 'New York Evenings',
+                    timezone: 'America/New_York',
+                    intervals: [1, 2, 3, 4, 5, 6, 7].map(day => ({
+                        day_of_week: day,
+                        start_time: '09:00:00',
+                        end_time: '23:00:00'
+                    }))
+                });
+                const eventType = await eventTypeModel.createEventType({
+                    name: 'new-york-evenings',
+                    duration: 30,
+                    availability_id: availability.id
+                });
+                newYorkEventTypeId = eventType.id;
+            });
+
+            it('should derive the date from start_time in the host timezone', async () => {
+                const monday = futureDateForDay(1);
+
+                // Monday evening in New York is already Tuesday in UTC
+                const result = await bookingsService.createBooking({
+                    event_type_id: newYorkEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: `${monday}T21:00:00-04:00`,
+                    end_time: `${monday}T21:30:00-04:00`
+                });
+
+                expect(result.date).toBe(monday);
+                expect(new Date(result.start_time).toISOString()).toBe(new Date(`${monday}T21:00:00-04:00`).toISOString());
+            });
+
+            it('should find host-wide conflicts for times sent with an offset', async () => {
+                const monday = futureDateForDay(1);
+                const { availability_id } = await eventTypeModel.findById(newYorkEventTypeId);
+                const sibling = await eventTypeModel.createEventType({
+                    name: 'new-york-sibling',
+                    duration: 30,
+                    availability_id
+                });
+
+                await bookingsService.createBooking({
+                    event_type_id: newYorkEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: `${monday}T15:00:00Z`,
+                    end_time: `${monday}T15:30:00Z`
+                });
+
+                // 17:15+02:00 is 15:15 UTC, inside the existing booking
+                await expect(bookingsService.createBooking({
+                    event_type_id: sibling.id,
+                    client_email: 'other@example.com',
+                    name: 'Other User',
+                    start_time: `${monday}T17:15:00+02:00`,
+                    end_time: `${monday}T17:45:00+02:00`
+                })).rejects.toMatchObject({ statusCode: 409 });
+            });
+
+            it('should reject a date that does not match start_time with 400', async () => {
+                const monday = futureDateForDay(1);
+                const tuesday = futureDateForDay(2);
+
+                await expect(bookingsService.createBooking({
+                    event_type_id: newYorkEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: `${monday}T21:00:00-04:00`,
+                    end_time: `${monday}T21:30:00-04:00`,
+                    date: tuesday
+                })).rejects.toMatchObject({
+                    statusCode: 400,
+                    details: { expected_date: monday, timezone: 'America/New_York' }
+                });
+            });
+
+            it('should move the date with start_time on update and reschedule', async () => {
+                const monday = futureDateForDay(1);
+                const wednesday = futureDateForDay(3);
+                const thursday = futureDateForDay(4);
+                const created = await bookingsService.createBooking({
+                    event_type_id: newYorkEventTypeId,
+                    client_email: 'test@example.com',
+                    name: 'Test User',
+                    start_time: `${monday}T15:00:00Z`,
+                    end_time: `${monday}T15:30:00Z`
+                });
+
+                const updated = await bookingsService.updateBooking(created.id, {
+                    start_time: `${wednesday}T21:00:00-04:00`,
+                    end_time: `${wednesday}T21:30:00-04:00`
+                });
+                expect(updated.date).toBe(wednesday);
+
+                const rescheduled = await bookingsService.rescheduleBooking(created.id, {
+                    start_time: `${thursday}T21:00:00-04:00`,
+                    end_time: `${thursday}T21:30:00-04:00`
+                });
+                expect(rescheduled.date).toBe(thursday);
+            });
+        });
     });
 });
-
@@ -3,8 +3,9 @@ import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import eventTypeModel from '../src/modules/eventType/eventType.model.js';
 import eventTypeService from '../src/modules/eventType/eventType.service.js';
 import availabilityModel from '../src/modules/availability/availability.model.js';
+import bookingsModel from '../src/modules/bookings/bookings.model.js';
 import { setupDatabase, dropTables } from '../src/core/setupDatabase.js';
-import { waitForDB } from './testUtils.js';
+import { waitForDB, futureDateForDay } from './testUtils.js';
 
 describe('EventType Module', () => {
     beforeEach(async () => {
@@ -156,6 +157,29 @@ describe('EventType Module', () => {
             expect(found.id).toBe(created.id);
         });
 
+        it('should include remaining booking quota', async () => {
+            const created = await eventTypeModel.createEventType({
+                name: 'limited-event',
+                duration: 30,
+                max_bookings_per_day: 4,
+                max_bookings_per_week: 10
+            });
+            const startTime = new Date();
+            await bookingsModel.createBooking({
+                event_type_id: created.id,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: startTime,
+                end_time: new Date(startTime.getTime() + 30 * 60 * 1000),
+                date: startTime.toISOString().split('T')[0]
+            });
+
+            const eventType = await eventTypeService.getEventTypeById(created.id);
+
+            expect(eventType.booking_limits.per_day).toMatchObject({ limit: 4, booked: 1, remaining: 3 });
+            expect(eventType.booking_limits.per_week).toMatchObject({ limit: 10, booked: 1, remaining: 9 });
+        });
+
         it('should throw error when getting non-existent event type', async () => {
             await expect(eventTypeService.getEventTypeById(99999))
                 .rejects.toThrow();
@@ -204,6 +228,103 @@ describe('EventType Module', () => {
             expect(result).toBeDefined();
             expect(result.message).toBe('Event type deleted successfully');
         });
+
+        it('should compute available slots grouped by date', async () => {
+            const availability = await availabilityModel.createAvailability({
+                name: 'Morning Hours',
+                timezone: 'UTC',
+                intervals: [
+                    { day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00' }
+                ]
+            });
+            const eventType = await eventTypeModel.createEventType({
+                name: 'slot-event',
+                duration: 30,
+                availability_id: availability.id
+            });
+
+            const monday = futureDateForDay(1);
+            await bookingsModel.createBooking({
+                event_type_id: eventType.id,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date(`${monday}T09:30:00Z`),
+                end_time: new Date(`${monday}T10:00:00Z`),
+                date: monday
+            });
+
+            const result = await eventTypeService.getAvailableSlots(eventType.id, {
+                from: monday,
+                to: monday
+            });
+
+            expect(result.timezone).toBe('UTC');
+            expect(Object.keys(result.slots)).toEqual([monday]);
+            expect(result.slots[monday].map(slot => slot.start_time)).toEqual([
+                `${monday}T09:00:00.000Z`,
+                `${monday}T10:00:00.000Z`,
+                `${monday}T10:30:00.000Z`
+            ]);
+        });
+
+        it('should exclude slots that overlap booking buffers', async () => {
+            const availability = await availabilityModel.createAvailability({
+                name: 'Morning Hours',
+                timezone: 'UTC',
+                intervals: [
+                    { day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00' }
+                ]
+            });
+            const eventType = await eventTypeModel.createEventType({
+                name: 'buffered-event',
+                duration: 30,
+                availability_id: availability.id,
+                buffer_after: 15
+            });
+
+            const monday = futureDateForDay(1);
+            await bookingsModel.createBooking({
+                event_type_id: eventType.id,
+                client_email: 'test@example.com',
+                name: 'Test User',
+                start_time: new Date(`${monday}T09:00:00Z`),
+                end_time: new Date(`${monday}T09:30:00Z`),
+                date: monday
+            });
+
+            const result = await eventTypeService.getAvailableSlots(eventType.id, {
+                from: monday,
+                to: monday
+            });
+
+            // 09:30 falls in the booking's after-buffer
+            expect(result.slots[monday].map(slot => slot.start_time)).toEqual([
+                `${monday}T10:00:00.000Z`,
+                `${monday}T10:30:00.000Z`
+            ]);
+        });
+
+        it('should return no slots on days without intervals', async () => {
+            const availability = await availabilityModel.createAvailability({
+                name: 'Monday Only',
+                timezone: 'UTC',
+                intervals: [
+                    { day_of_week: 1, start_time: '09:00:00', end_time: '11:00:00' }
+                ]
+            });
+            const eventType = await eventTypeModel.createEventType({
+                name: 'slot-event',
+                duration: 30,
+                availability_id: availability.id
+            });
+
+            const tuesday = futureDateForDay(2);
+            const result = await eventTypeService.getAvailableSlots(eventType.id, {
+                from: tuesday,
+                to: tuesday
+            });
+
+            expect(result.slots).toEqual({});
+        });
     });
 });
-
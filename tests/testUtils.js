@@ -6,3 +6,28 @@ export const waitForDB = async () => {
     await delay(50); // Small delay to ensure transactions complete
 };
 
+
+// Date (YYYY-MM-DD) of the given ISO day of week (1=Monday, 7=Sunday), at least a week from now
+export const futureDateForDay = (dayOfWeek) => {
+    const date = new Date();
+    date.setUTCDate(date.getUTCDate() + 7);
+    const currentDay = date.getUTCDay() === 0 ? 7 : date.getUTCDay();
+    date.setUTCDate(date.getUTCDate() + ((dayOfWeek - currentDay + 7) % 7));
+    return date.toISOString().split('T')[0];
+};
+
+// The slot most booking tests use
+export const TEST_SLOT = {
+    start_time: '2024-12-20T10:00:00.000Z',
+    end_time: '2024-12-20T10:30:00.000Z',
+    date: '2024-12-20'
+};
+
+// Booking input for TEST_SLOT; overrides replace or add fields
+export const bookingFixture = (eventTypeId, overrides = {}) => ({
+    event_type_id: eventTypeId,
+    client_email: 'test@example.com',
+    name: 'Test User',
+    ...TEST_SLOT,
+    ...overrides
+});
@@ -0,0 +1,132 @@
+// Time Utilities Tests
+import { describe, it, expect } from '@jest/globals';
+import {
+    expandAvailability,
+    expandIntervals,
+    generateSlots,
+    getDayOfWeek,
+    getPeriodBounds,
+    getRecurrenceDates,
+    getZonedDateTime,
+    isValidTimezone,
+    zonedTimeToUtc
+} from '../src/core/timeUtils.js';
+
+describe('Time Utilities', () => {
+    it('should map dates to ISO day of week', () => {
+        expect(getDayOfWeek('2026-03-09')).toBe(1); // Monday
+        expect(getDayOfWeek('2026-03-15')).toBe(7); // Sunday
+    });
+
+    it('should validate IANA timezones', () => {
+        expect(isValidTimezone('America/New_York')).toBe(true);
+        expect(isValidTimezone('UTC')).toBe(true);
+        expect(isValidTimezone('Eastern Time')).toBe(false);
+    });
+
+    it('should convert wall-clock time to UTC on both sides of a DST change', () => {
+        // New York switches from EST (UTC-5) to EDT (UTC-4) on 2026-03-08
+        expect(zonedTimeToUtc('2026-03-06', '09:00:00', 'America/New_York').toISOString())
+            .toBe('2026-03-06T14:00:00.000Z');
+        expect(zonedTimeToUtc('2026-03-09', '09:00:00', 'America/New_York').toISOString())
+            .toBe('2026-03-09T13:00:00.000Z');
+    });
+
+    it('should move times in a DST gap forward', () => {
+        // 02:30 does not exist in New York on 2026-03-08
+        expect(zonedTimeToUtc('2026-03-08', '02:30:00', 'America/New_York').toISOString())
+            .toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    it('should resolve ambiguous times to the earlier instant', () => {
+        // 01:30 happens twice in New York on 2026-11-01
+        expect(zonedTimeToUtc('2026-11-01', '01:30:00', 'America/New_York').toISOString())
+            .toBe('2026-11-01T05:30:00.000Z');
+    });
+
+    it('should read the wall-clock date and time of an instant', () => {
+        expect(getZonedDateTime(new Date('2026-01-01T03:30:00Z'), 'Asia/Kolkata'))
+            .toEqual({ date: '2026-01-01', time: '09:00:00' });
+    });
+
+    it('should expand intervals in the given timezone', () => {
+        const intervals = [{ day_of_week: 1, start_time: '09:00:00', end_time: '10:00:00' }];
+
+        const windows = expandIntervals(intervals, '2026-03-02', '2026-03-09', 'America/New_York');
+
+        expect(windows.map(window => window.start.toISOString())).toEqual([
+            '2026-03-02T14:00:00.000Z',
+            '2026-03-09T13:00:00.000Z'
+        ]);
+    });
+
+    it('should split windows into slots of the given duration', () => {
+        const slots = generateSlots([{
+            start: new Date('2026-03-02T09:00:00Z'),
+            end: new Date('2026-03-02T10:15:00Z')
+        }], 30);
+
+        expect(slots.map(slot => slot.start.toISOString())).toEqual([
+            '2026-03-02T09:00:00.000Z',
+            '2026-03-02T09:30:00.000Z'
+        ]);
+    });
+
+    it('should let date overrides replace weekly intervals', () => {
+        const availability = {
+            timezone: 'UTC',
+            intervals: [{ day_of_week: 1, start_time: '09:00:00', end_time: '17:00:00' }],
+            overrides: [
+                { date: '2026-03-02', start_time: null, end_time: null },
+                { date: '2026-03-09', start_time: '10:00:00', end_time: '12:00:00' }
+            ]
+        };
+
+        const windows = expandAvailability(availability, '2026-03-02', '2026-03-16');
+
+        expect(windows.map(window => [window.start.toISOString(), window.end.toISOString()])).toEqual([
+            ['2026-03-09T10:00:00.000Z', '2026-03-09T12:00:00.000Z'],
+            ['2026-03-16T09:00:00.000Z', '2026-03-16T17:00:00.000Z']
+        ]);
+    });
+
+    it('should block dates inside out-of-office periods', () => {
+        const availability = {
+            timezone: 'UTC',
+            intervals: [1, 2, 3].map(day => ({ day_of_week: day, start_time: '09:00:00', end_time: '17:00:00' })),
+            overrides: [],
+            out_of_office: [{ start_date: '2026-03-02', end_date: '2026-03-03', reason: null }]
+        };
+
+        const windows = expandAvailability(availability, '2026-03-02', '2026-03-04');
+
+        expect(windows).toHaveLength(1);
+        expect(windows[0].start.toISOString()).toBe('2026-03-04T09:00:00.000Z');
+    });
+
+    it('should compute day and week bounds in the given timezone', () => {
+        // Tuesday 2026-03-10 02:00 UTC is still Monday evening in New York
+        const instant = new Date('2026-03-10T02:00:00Z');
+
+        const day = getPeriodBounds(instant, 'America/New_York', 'day');
+        const week = getPeriodBounds(instant, 'America/New_York', 'week');
+
+        expect(day.start_date).toBe('2026-03-09');
+        expect(day.start.toISOString()).toBe('2026-03-09T04:00:00.000Z');
+        expect(day.end.toISOString()).toBe('2026-03-10T04:00:00.000Z');
+        expect(week.start_date).toBe('2026-03-09');
+        expect(week.end.toISOString()).toBe('2026-03-16T04:00:00.000Z');
+    });
+
+    it('should generate recurrence dates', () => {
+        expect(getRecurrenceDates('2030-01-07', { frequency: 'weekly', interval: 2, count: 3 }, 52))
+            .toEqual(['2030-01-07', '2030-01-21', '2030-02-04']);
+        expect(getRecurrenceDates('2030-01-30', { frequency: 'daily', interval: 1, until: '2030-02-01' }, 52))
+            .toEqual(['2030-01-30', '2030-01-31', '2030-02-01']);
+    });
+
+    it('should skip months without the start day in monthly recurrences', () => {
+        expect(getRecurrenceDates('2030-01-31', { frequency: 'monthly', interval: 1, count: 3 }, 52))
+            .toEqual(['2030-01-31', '2030-03-31', '2030-05-31']);
+    });
+});